@@ -0,0 +1,71 @@
+// Broadcast Clock
+// Shared wall clock that every station transmits against. A station's playhead is
+// derived from the clock rather than from when the listener first tuned in, so the
+// programme keeps running while nobody is listening.
+
+// ===== CONFIGURATION VARIABLES =====
+
+const BROADCAST_EPOCH = Date.UTC(1925, 10, 1); // Midnight UTC, 1 November 1925
+const BROADCAST_SYNC_TOLERANCE = 0.5; // seconds of drift allowed before re-seeking
+
+// ===== CLOCK CLASS =====
+
+class BroadcastClock {
+    constructor(epoch = BROADCAST_EPOCH, now = () => Date.now()) {
+        this.epoch = epoch; // ms timestamp every station counts from
+        this.now = now; // injectable time source (ms)
+        this.syncTolerance = BROADCAST_SYNC_TOLERANCE;
+    }
+
+    // Seconds elapsed since the broadcast epoch
+    getElapsed() {
+        return (this.now() - this.epoch) / 1000;
+    }
+
+    // Where a looping programme of the given duration should be right now
+    getPlayhead(offsetSeconds, durationSeconds) {
+        if (!Number.isFinite(durationSeconds) || durationSeconds <= 0) return 0;
+
+        const position = (this.getElapsed() + (offsetSeconds || 0)) % durationSeconds;
+        return position < 0 ? position + durationSeconds : position;
+    }
+
+    // Seek an audio element to the clock if it has drifted. Returns true if it seeked.
+    syncElement(audioEl, offsetSeconds) {
+        const duration = audioEl.duration;
+        if (!Number.isFinite(duration) || duration <= 0) return false;
+
+        return this.syncElementTo(audioEl, this.getPlayhead(offsetSeconds, duration));
+    }
+
+    // Seek an audio element to a position (wrapped to its duration) if it has drifted
+    syncElementTo(audioEl, seconds) {
+        const duration = audioEl.duration;
+        if (!Number.isFinite(duration) || duration <= 0) return false;
+
+        const target = ((seconds % duration) + duration) % duration;
+
+        // Measure drift around the loop so 0.1s and duration-0.1s count as close
+        let drift = Math.abs(audioEl.currentTime - target);
+        drift = Math.min(drift, duration - drift);
+        if (drift <= this.syncTolerance) return false;
+
+        audioEl.currentTime = target;
+        return true;
+    }
+
+    setEpoch(epoch) {
+        this.epoch = epoch;
+    }
+
+    getEpoch() {
+        return this.epoch;
+    }
+}
+
+// Export for use in main simulator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BroadcastClock;
+} else if (typeof window !== 'undefined') {
+    window.BroadcastClock = BroadcastClock;
+}
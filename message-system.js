@@ -2,11 +2,55 @@
 const DEFAULT_MESSAGE = "Tune in using the dial below.";
 
 class MessageSystem {
-    constructor() {
+    // Announces what happens on the event bus (discoveries, programmes that won't play, scan
+    // results, presets); the controller calls displayMessage() directly only to answer the
+    // listener's own actions.
+    // options: discoveryDelayMs (wait for the pointer's discovery animation),
+    //          announceDiscoveries () => false to hold discoveries back (e.g. during a game)
+    constructor(events, options = {}) {
         this.messageElement = null;
         this.displayMessageTimeout = null;
         this.isDisplayingMessage = false;
         this.originalColor = null;
+        
+        this.discoveryDelayMs = options.discoveryDelayMs || 0;
+        this.announceDiscoveries = options.announceDiscoveries || (() => true);
+        this.reportedTrackErrors = new Set(); // programme files already reported
+        if (events) {
+            this.subscribeToEvents(events);
+        }
+    }
+
+    subscribeToEvents(events) {
+        events.on(RADIO_EVENTS.STATION_DISCOVERED, ({ station }) => {
+            if (!this.announceDiscoveries()) return;
+            setTimeout(() => {
+                this.displayMessage(`Station Discovered! ${station.title}`, '#FFF');
+            }, this.discoveryDelayMs);
+        });
+        
+        // Once per file: a missing programme fails again every time its station restarts
+        events.on(RADIO_EVENTS.TRACK_ERROR, ({ src, error }) => {
+            if (this.reportedTrackErrors.has(src)) return;
+            this.reportedTrackErrors.add(src);
+            this.displayMessage(`Could not play ${src}: ${error.message || error}`);
+        });
+        
+        events.on(RADIO_EVENTS.SCAN_STATE, ({ found }) => {
+            if (found === false) {
+                this.displayMessage('No stations found on this band.');
+            }
+        });
+        
+        events.on(RADIO_EVENTS.PRESETS_UPDATED, ({ presets, index }) => {
+            if (index === null || index === undefined) {
+                this.displayMessage('Presets loaded.');
+            } else if (presets[index]) {
+                this.displayMessage(`Preset ${index + 1} stored: ${presets[index].label}`);
+            } else {
+                this.displayMessage(`Preset ${index + 1} cleared.`);
+            }
+        });
     }
 
     initialize() {
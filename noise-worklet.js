@@ -0,0 +1,114 @@
+// Ether Noise Worklet
+// AudioWorkletProcessor that synthesises the receiver's noise bed. Loaded by
+// radio-noise.js with audioWorklet.addModule(); runs on the audio thread.
+//
+// Outputs (mono each):
+//   0  background hiss (pink-ish noise)
+//   1  static crashes from distant lightning (QRN): random timing and intensity
+//   2  mains hum (fundamental plus two harmonics)
+//
+// processorOptions.seed seeds the generator (mulberry32, as in radio-random.js, which
+// worklet scope can't load), so a seeded render gets the same noise every time.
+
+class EtherNoiseProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'hissLevel', defaultValue: 0.05, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+            { name: 'crashLevel', defaultValue: 0.6, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+            { name: 'crashRate', defaultValue: 0.8, minValue: 0, maxValue: 50, automationRate: 'k-rate' }, // crashes per second
+            { name: 'crackleRate', defaultValue: 12, minValue: 0, maxValue: 200, automationRate: 'k-rate' }, // small ticks per second
+            { name: 'humLevel', defaultValue: 0.004, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+            { name: 'humFrequency', defaultValue: 50, minValue: 40, maxValue: 70, automationRate: 'k-rate' }
+        ];
+    }
+
+    constructor(options) {
+        super();
+
+        const seed = options && options.processorOptions ? options.processorOptions.seed : undefined;
+        this.randomState = (seed === undefined ? Math.random() * 4294967296 : seed) >>> 0;
+
+        // Pink noise filter state (Paul Kellet's economy method)
+        this.pink = [0, 0, 0];
+
+        // Crash state: envelope, decay per sample and a low-passed noise source
+        this.crashEnvelope = 0;
+        this.crashDecay = 0.999;
+        this.crashFilter = 0;
+        this.crashBrightness = 0.5;
+
+        // Crackle state: its own envelope and bright noise source, so a tick landing in a
+        // crash's tail doesn't cut the crash short
+        this.crackleEnvelope = 0;
+        this.crackleDecay = Math.exp(-1 / (0.004 * sampleRate)); // 4 ms ticks
+        this.crackleFilter = 0;
+        this.crackleBrightness = 0.8;
+
+        this.humPhase = 0;
+    }
+
+    // mulberry32
+    random() {
+        this.randomState = (this.randomState + 0x6D2B79F5) | 0;
+        let t = this.randomState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    process(inputs, outputs, parameters) {
+        const hissOut = outputs[0][0];
+        const crashOut = outputs[1][0];
+        const humOut = outputs[2][0];
+        const frames = hissOut.length;
+
+        const hissLevel = parameters.hissLevel[0];
+        const crashLevel = parameters.crashLevel[0];
+        const crashChance = parameters.crashRate[0] / sampleRate;
+        const crackleChance = parameters.crackleRate[0] / sampleRate;
+        const humLevel = parameters.humLevel[0];
+        const humStep = 2 * Math.PI * parameters.humFrequency[0] / sampleRate;
+
+        for (let i = 0; i < frames; i++) {
+            // Background hiss
+            const white = this.random() * 2 - 1;
+            this.pink[0] = 0.99765 * this.pink[0] + white * 0.0990460;
+            this.pink[1] = 0.96300 * this.pink[1] + white * 0.2965164;
+            this.pink[2] = 0.57000 * this.pink[2] + white * 1.0526913;
+            const pink = (this.pink[0] + this.pink[1] + this.pink[2] + white * 0.1848) * 0.25;
+            hissOut[i] = pink * hissLevel;
+
+            // QRN: a lightning crash is a burst of noise whose loudness is heavily skewed
+            // towards faint, with the occasional big one
+            if (this.random() < crashChance) {
+                const intensity = 0.15 + 0.85 * Math.pow(this.random(), 3);
+                const decaySeconds = 0.03 + 0.3 * this.random();
+                this.crashEnvelope = Math.max(this.crashEnvelope, intensity);
+                this.crashDecay = Math.exp(-1 / (decaySeconds * sampleRate));
+                this.crashBrightness = 0.2 + 0.6 * this.random();
+            }
+            if (this.random() < crackleChance) {
+                // Distant crackle: tiny, very short ticks between and over the crashes
+                this.crackleEnvelope = Math.max(this.crackleEnvelope, 0.05 * this.random());
+            }
+            this.crashFilter += this.crashBrightness * ((this.random() * 2 - 1) - this.crashFilter);
+            this.crackleFilter += this.crackleBrightness * ((this.random() * 2 - 1) - this.crackleFilter);
+            crashOut[i] = (this.crashFilter * this.crashEnvelope + this.crackleFilter * this.crackleEnvelope) * crashLevel;
+            this.crashEnvelope *= this.crashDecay;
+            this.crackleEnvelope *= this.crackleDecay;
+
+            // Mains hum with the second and third harmonics of a tired smoothing capacitor
+            this.humPhase += humStep;
+            if (this.humPhase > 2 * Math.PI) this.humPhase -= 2 * Math.PI;
+            humOut[i] = humLevel * (
+                Math.sin(this.humPhase) +
+                0.5 * Math.sin(2 * this.humPhase) +
+                0.25 * Math.sin(3 * this.humPhase)
+            );
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('ether-noise', EtherNoiseProcessor);
@@ -0,0 +1,101 @@
+// Programme Schedule
+// Works out what a station is transmitting at a given time of day. A station with a
+// `schedule` in stations.yaml goes on and off air at its segment boundaries; a station
+// with a single `src` is on air around the clock.
+
+// Station states:
+//   on-air    a programme segment is playing
+//   interval  between segments, playing the interval signal
+//   carrier   between segments, carrier on but silent
+//   off-air   transmitter off, nothing but ether noise
+
+const MINUTES_PER_DAY = 24 * 60;
+
+class ProgrammeSchedule {
+    constructor(station) {
+        this.stationId = station.id;
+        this.defaultSrc = station.src || null;
+        this.segments = (station.schedule || [])
+            .map(segment => ({
+                src: segment.src,
+                startMinutes: ProgrammeSchedule.parseTimeOfDay(segment.start),
+                durationMinutes: segment.duration,
+                interval: segment.interval || null
+            }))
+            .sort((a, b) => a.startMinutes - b.startMinutes);
+    }
+
+    // "HH:MM" -> minutes after midnight
+    static parseTimeOfDay(text) {
+        const [hours, minutes] = text.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    hasSchedule() {
+        return this.segments.length > 0;
+    }
+
+    // State of the station at a timestamp (ms). Returns
+    // { status, src, elapsed, segment, until } where elapsed is seconds since the
+    // current programme (or interval) began and until is the ms timestamp of the next change.
+    getStateAt(timestamp) {
+        if (!this.hasSchedule()) {
+            return { status: 'on-air', src: this.defaultSrc, elapsed: null, segment: null, until: null };
+        }
+
+        // Segments are local time of day; look at yesterday's and today's occurrences so
+        // programmes running past midnight are handled
+        const midnight = new Date(timestamp);
+        midnight.setHours(0, 0, 0, 0);
+        const dayStart = midnight.getTime();
+        const minuteMs = 60 * 1000;
+
+        const occurrences = [];
+        for (const dayOffset of [-1, 0, 1]) {
+            for (const segment of this.segments) {
+                const start = dayStart + (dayOffset * MINUTES_PER_DAY + segment.startMinutes) * minuteMs;
+                occurrences.push({ segment, start, end: start + segment.durationMinutes * minuteMs });
+            }
+        }
+        occurrences.sort((a, b) => a.start - b.start);
+
+        // Inside a programme segment
+        const current = occurrences.find(o => timestamp >= o.start && timestamp < o.end);
+        if (current) {
+            return {
+                status: 'on-air',
+                src: current.segment.src,
+                elapsed: (timestamp - current.start) / 1000,
+                segment: current.segment,
+                until: current.end
+            };
+        }
+
+        // Between segments: what follows the last one that finished?
+        const previous = occurrences.filter(o => o.end <= timestamp).pop();
+        const next = occurrences.find(o => o.start > timestamp);
+        const until = next ? next.start : null;
+
+        if (previous && previous.segment.interval === 'silence') {
+            return { status: 'carrier', src: null, elapsed: null, segment: previous.segment, until };
+        }
+        if (previous && previous.segment.interval) {
+            return {
+                status: 'interval',
+                src: previous.segment.interval,
+                elapsed: (timestamp - previous.end) / 1000,
+                segment: previous.segment,
+                until
+            };
+        }
+
+        return { status: 'off-air', src: null, elapsed: null, segment: null, until };
+    }
+}
+
+// Export for use in main simulator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProgrammeSchedule;
+} else if (typeof window !== 'undefined') {
+    window.ProgrammeSchedule = ProgrammeSchedule;
+}
@@ -1,6 +1,74 @@
+// Under Node (e.g. with a fake AudioContext) there are no script tags to make the other
+// modules globals, so load them here
+if (typeof window === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, {
+        BroadcastClock: require('./broadcast-clock.js'),
+        ProgrammeSchedule: require('./programme-schedule.js'),
+        RadioPropagation: require('./radio-propagation.js'),
+        RadioFading: require('./radio-fading.js'),
+        RadioNoise: require('./radio-noise.js'),
+        RadioRF: require('./radio-rf.js'),
+        RadioCabinet: require('./radio-cabinet.js'),
+        RadioWhistles: require('./radio-whistles.js'),
+        StationSchema: require('./station-schema.js').StationSchema,
+        ReceiverProfiles: require('./receiver-profiles.js').ReceiverProfiles,
+        RADIO_EVENTS: require('./radio-events.js').RADIO_EVENTS
+    });
+}
+
+// ===== ASSET LOADING =====
+
+// Default asset loader: fetch relative to the page. Anything with the same two methods
+// can stand in, e.g. one reading files from disk under Node.
+const FETCH_ASSET_LOADER = {
+    async loadText(path) {
+        const response = await fetch(path);
+        if (!response.ok) throw new Error(`${path}: HTTP ${response.status}`);
+        return response.text();
+    },
+
+    async loadArrayBuffer(path) {
+        const response = await fetch(path);
+        if (!response.ok) throw new Error(`${path}: HTTP ${response.status}`);
+        return response.arrayBuffer();
+    }
+};
+
+// Event sink used when none is given
+const SILENT_EVENTS = { emit() {} };
+
+const DEFAULT_STATIONS_FILE = 'stations.yaml';
+
+// ===== AUDIO CLASS =====
+
 class RadioAudio {
-    constructor() {
+    // Options (the live radio passes events, and stationsFile from a shared link):
+    //   audioContext    use this context, e.g. an OfflineAudioContext or a fake one under Node
+    //   assetLoader     { loadText(path), loadArrayBuffer(path) } for stations.yaml, profiles.yaml
+    //                   and sounds (default: fetch)
+    //   events          { emit(type, detail) } sink for RADIO_EVENTS, usually a RadioEventBus
+    //                   (radio-events.js); the engine never touches the DOM itself
+    //   random          random source for fading, reverb impulses and noise (see radio-random.js)
+    //   clock           BroadcastClock the stations run against
+    //   bufferedTracks  decode station files into AudioBuffers instead of streaming <audio>
+    //                   (default: only where there is no <audio>, e.g. under Node)
+    //   realtime        false: no timers; the caller steps time with advance()
+    //   stationsFile    station dataset to load (default: stations.yaml, also the fallback
+    //                   if it can't be loaded; getStationsFile() says which one was)
+    //   debug           log debugAudioSystem() every 5 seconds (default: in the browser only)
+    constructor(options = {}) {
+        this.options = options;
         this.audioContext = null;
+        this.stationsFile = options.stationsFile || DEFAULT_STATIONS_FILE;
+        this.assetLoader = options.assetLoader || FETCH_ASSET_LOADER;
+        this.events = options.events || SILENT_EVENTS;
+        this.random = options.random || Math.random;
+        this.realtime = options.realtime !== false;
+        this.debug = options.debug !== undefined ? !!options.debug : typeof window !== 'undefined';
+        this.bufferedTracks = options.bufferedTracks !== undefined
+            ? !!options.bufferedTracks
+            : typeof Audio === 'undefined';
+        this.trackBuffers = new Map(); // src -> Promise of its decoded AudioBuffer (buffered tracks)
         this.isPoweredOn = false;
         this.dialPosition = 90; // Default center position
         
@@ -9,24 +77,35 @@ class RadioAudio {
         
         // Station discovery
         this.discoveredStations = new Set(); // Track which stations have been discovered
-        this.currentDiscoveryStation = null; // Currently being discovered
-        this.discoveryAnimationId = null; // Animation frame ID
+        this.tunedStation = null; // station the dial is on (within discovery range)
+        this.tuningLevels = { signal: 0, ether: 0 }; // for tuning indicators, from updateMixing
         this.noiseTracks = new Map(); // Map of noise type to audio track
         
         // Configuration
         this.maxConstantNoiseVolume = 1;
         this.maxEtherNoiseVolume = 0.2;
+        this.maxHumNoiseVolume = 1; // procedural mains hum (level is set on the noise generator)
         // Ether noise volume is now controlled by maxEtherNoiseVolume
         this.startupFadeDuration = 2; // Fade-in duration in seconds
         this.masterVolume = 0; // Master volume control
+        this.userVolume = 1; // Volume knob, 0..1 (applied on the master bus)
+        this.volumeRampTime = 0.05; // seconds, smoothing for the volume knob
+        this.toneMinCutoff = 800; // Hz, tone knob fully anticlockwise
+        this.toneMaxCutoff = 5000; // Hz, tone knob fully clockwise
         
         // Whistle system will be initialized separately
         
         // Station data
         this.stations = [];
         
-        // Callback for when initialization is complete
-        this.onInitializationComplete = null;
+        // Wavebands: each has its own stations, dial range, noise and whistle scale
+        this.bands = [];
+        this.currentBand = null;
+        this.defaultBand = 'mw';
+        this.bandBuses = new Map(); // band ID -> GainNode feeding the master bus
+        this.bandCrossfadeTime = 0.4; // seconds
+        this.stationErrors = []; // Problems reported while validating stations.yaml
+        this.stationWarnings = [];
         
         // Whistle system instance
         this.whistleSystem = null;
@@ -34,10 +113,63 @@ class RadioAudio {
         // Cabinet effects
         this.cabinet = null;
         
+        // Ionospheric fading engine
+        this.fading = null;
+        
+        // Procedural noise generator (null when falling back to the MP3 beds)
+        this.noise = null;
+        
+        // RF mode: AM carrier, selectivity and envelope detector per station (off = Gaussian mixer)
+        this.rfMode = false;
+        this.rf = null; // RadioRF, created the first time RF mode is enabled
+        
+        // Receiver profile (profiles.yaml): which kind of set we are listening on
+        this.profiles = new ReceiverProfiles();
+        this.receiverProfile = null; // the applied profile
+        this.defaultProfile = 'two-valve';
+        this.sigmaScale = 1; // profile selectivity: multiplier on every station's sigma
+        this.sensitivity = 1; // profile sensitivity: multiplier on received strength
+        this.regenerationAvailable = true; // crystal sets and superhets have no reaction control
+        
+        // Reception handicap (game difficulty): multipliers on received strength and band noise
+        this.handicap = { strength: 1, noise: 1 };
+        
+        // Regeneration ("reaction"): positive feedback round the detector valve
+        this.regeneration = 0; // 0..1, set by the reaction knob
+        this.regenerationThreshold = 0.8; // beyond this the set breaks into oscillation
+        this.regenerationSharpening = 0.6; // sigma shrinks by up to this fraction at the threshold
+        this.regenerationBoost = 3; // extra sensitivity exponent for weak stations at the threshold
+        
         // Master bus for unified processing
         this.masterBus = null;
         
-        this.initializeAudio();
+        // Post-cabinet output: everything the listener hears (the recorder taps it here)
+        this.outputBus = null;
+        
+        // Shared clock that keeps every station broadcasting while we are tuned elsewhere
+        this.broadcastClock = options.clock || new BroadcastClock();
+        
+        // Programme schedules (station ID -> ProgrammeSchedule)
+        this.schedules = new Map();
+        this.scheduleInterval = null;
+        this.scheduleCheckMs = 1000; // how often segment boundaries are checked
+        
+        // Listener location and transmitter geography
+        this.locations = [];
+        this.propagation = new RadioPropagation();
+        this.defaultListenerLocation = null; // e.g. 'london'; null keeps the fixed strengths
+        this.receptionInterval = null;
+        this.receptionUpdateMs = 60000; // day/night propagation drifts slowly
+        
+        // Non-realtime mode: context times of the last schedule and reception updates
+        this.lastScheduleTime = 0;
+        this.lastReceptionTime = 0;
+        this.fadeInStartTime = 0;
+        this.fadeInterval = null; // power-on fade timer (realtime)
+        this.debugInterval = null;
+        
+        // Resolves once stations, noise and profiles are loaded
+        this.ready = this.initializeAudio();
     }
 
     _initializeMasterBus() {
@@ -45,52 +177,66 @@ class RadioAudio {
         
         // Create master bus (GainNode that all tracks feed into)
         this.masterBus = this.audioContext.createGain();
-        this.masterBus.gain.value = 1.0;
+        this.masterBus.gain.value = this.userVolume * this.userVolume;
         
         console.log('Master bus initialized');
     }
 
-    setInitializationCallback(callback) {
-        this.onInitializationComplete = callback;
-    }
-    
-    setProgressCallback(callback) {
-        this.onProgressUpdate = callback;
-    }
-
     async initializeAudio() {
         try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            if (!this.options.audioContext && typeof window === 'undefined') {
+                throw new Error('RadioAudio needs an audioContext option outside the browser');
+            }
+            this.audioContext = this.options.audioContext || new (window.AudioContext || window.webkitAudioContext)();
             console.log('Audio context created:', this.audioContext.state);
             
             // Initialize master bus
             this._initializeMasterBus();
             
+            // Initialize fading engine (stations route through it to the master bus)
+            this.fading = new RadioFading(this.audioContext, this.random);
+            
             // Initialize whistle system
             this.whistleSystem = new RadioWhistles(this.audioContext, this.masterBus);
             
             // Initialize cabinet effects
-            this.cabinet = new RadioCabinet(this.audioContext);
-            this.cabinet.connect(this.masterBus, this.audioContext.destination);
+            this.outputBus = this.audioContext.createGain();
+            this.outputBus.connect(this.audioContext.destination);
+            this.cabinet = new RadioCabinet(this.audioContext, {}, this.random, this.assetLoader);
+            this.cabinet.connect(this.masterBus, this.outputBus);
             
             await this.loadStations();
             await this.loadNoiseTracks();
             
+            // The starting receiver also sets the band's noise character and whistle scale
+            await this.loadProfiles();
+            if (!this.defaultProfile || !this.applyReceiverProfile(this.defaultProfile)) {
+                const band = this.bands.find(b => b.id === this.currentBand);
+                if (band) {
+                    this.applyBandSettings(band);
+                }
+            }
+            
+            if (this.realtime) {
+                // Switch programmes at their segment boundaries
+                this.startScheduleUpdates();
+                
+                // Keep received strengths in step with day and night
+                this.startReceptionUpdates();
+            } else {
+                this.updateSchedules();
+            }
+            
             console.log(`Audio initialized: ${this.stations.length} stations, ${this.stationTracks.size} tracks created`);
             
             // Start debugging automatically
-            this.startDebugging();
+            if (this.realtime && this.debug) {
+                this.startDebugging();
+            }
             
             // Notify that initialization is complete
-            console.log('=== Audio initialization complete, calling callback ===');
-            console.log('Callback function exists:', !!this.onInitializationComplete);
-            if (this.onInitializationComplete) {
-                console.log('Calling initialization callback...');
-                this.onInitializationComplete();
-                console.log('Initialization callback called');
-            } else {
-                console.error('No initialization callback set!');
-            }
+            console.log('=== Audio initialization complete ===');
+            this.events.emit(RADIO_EVENTS.READY, {});
         } catch (error) {
             console.error('initializeAudio faled. Web Audio API not supported:', error);
         }
@@ -98,10 +244,21 @@ class RadioAudio {
 
     async loadStations() {
         try {
-            const response = await fetch('stations.yaml');
-            const yamlText = await response.text();
-            // For now, we'll parse a simplified format. In production, use a proper YAML parser
+            const yamlText = await this._loadStationsText();
             this.stations = this.parseStationsYaml(yamlText);
+            this.currentBand = this.bands.some(band => band.id === this.defaultBand)
+                ? this.defaultBand
+                : (this.bands.length > 0 ? this.bands[0].id : null);
+            
+            for (const station of this.stations) {
+                this.schedules.set(station.id, new ProgrammeSchedule(station));
+            }
+            
+            // Locate the listener so strengths are derived from transmitter geography
+            this.propagation.setLocations(this.locations);
+            if (this.defaultListenerLocation) {
+                this.propagation.setListenerLocation(this.defaultListenerLocation);
+            }
             
             // Create tracks with Safari mobile fallback
             try {
@@ -109,50 +266,47 @@ class RadioAudio {
             } catch (error) {
                 console.warn('Some tracks failed to load, continuing anyway:', error);
             }
+            
+            // Strengths and fading depths (needs the tracks' fade stages)
+            this.updateReception();
         } catch (error) {
             console.error('Failed to load stations:', error);
         }
     }
 
-    parseStationsYaml(yamlText) {
-        // Simple YAML parsing for demo. In production, use a proper YAML parser
-        const stations = [];
-        const lines = yamlText.split('\n');
-        let currentStation = {};
-        
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            const trimmed = line.trim();
-            
-            if (trimmed.startsWith('-')) {
-                // If we have a current station with data, save it
-                if (Object.keys(currentStation).length > 0) {
-                    stations.push({...currentStation});
-                }
-                currentStation = {};
-                
-                // Parse the id from the same line if it's there
-                const idMatch = trimmed.match(/- id:\s*"([^"]+)"/);
-                if (idMatch) {
-                    currentStation.id = idMatch[1];
-                }
-            } else if (trimmed.includes(':') && !trimmed.startsWith('stations:')) {
-                const [key, value] = trimmed.split(':').map(s => s.trim());
-                if (key === 'id' || key === 'title' || key === 'description' || key === 'src') {
-                    currentStation[key] = value.replace(/"/g, '');
-                } else if (key === 'position' || key === 'strength' || key === 'sigma') {
-                    currentStation[key] = parseFloat(value);
-                }
-            }
+    // Text of the stations file, falling back to stations.yaml if another dataset is missing
+    async _loadStationsText() {
+        try {
+            return await this.assetLoader.loadText(this.stationsFile);
+        } catch (error) {
+            if (this.stationsFile === DEFAULT_STATIONS_FILE) throw error;
+            console.warn(`Could not load ${this.stationsFile}, using ${DEFAULT_STATIONS_FILE}:`, error.message);
+            this.stationsFile = DEFAULT_STATIONS_FILE;
+            return this.assetLoader.loadText(this.stationsFile);
         }
-        
-        // Don't forget the last station
-        if (Object.keys(currentStation).length > 0) {
-            stations.push({...currentStation});
+    }
+
+    getStationsFile() {
+        return this.stationsFile;
+    }
+
+    parseStationsYaml(yamlText) {
+        // Validate against the station schema; bad entries are skipped but always reported
+        const result = new StationSchema(this.stationsFile).parse(yamlText);
+        this.stationErrors = result.errors;
+        this.stationWarnings = result.warnings;
+        this.locations = result.locations;
+        this.bands = result.bands;
+
+        result.warnings.forEach(warning => console.warn(warning.message));
+        result.errors.forEach(error => console.error(error.message));
+
+        if (result.errors.length > 0) {
+            console.error(`${this.stationsFile}: ${result.errors.length} problem(s) found, see messages above`);
         }
-        
-        console.log(`Parsed ${stations.length} stations:`, stations.map(s => s.id));
-        return stations;
+
+        console.log(`Parsed ${result.stations.length} stations:`, result.stations.map(s => s.id));
+        return result.stations;
     }
 
     async createStationTracks() {
@@ -160,22 +314,21 @@ class RadioAudio {
         
         for (let i = 0; i < this.stations.length; i++) {
             const station = this.stations[i];
+            let readyTimeout = null;
             try {
-                const track = this.createStreamingTrack(station);
+                const track = this.bufferedTracks ? this.createBufferTrack(station) : this.createStreamingTrack(station);
                 this.stationTracks.set(station.id, track);
                 
                 // Update progress
                 const progress = Math.round(((i + 1) / this.stations.length) * 100);
-                if (this.onProgressUpdate) {
-                    this.onProgressUpdate(progress);
-                }
+                this.events.emit(RADIO_EVENTS.LOADING_PROGRESS, { percent: progress });
                 
                 // Wait for metadata to be ready with timeout
                 await Promise.race([
                     track.waitForReady(),
-                    new Promise((_, reject) => 
-                        setTimeout(() => reject(new Error('Timeout')), 5000)
-                    )
+                    new Promise((_, reject) => {
+                        readyTimeout = setTimeout(() => reject(new Error('Timeout')), 5000);
+                    })
                 ]);
                 console.log(`✓ ${station.id} ready for streaming`);
             } catch (error) {
@@ -185,6 +338,8 @@ class RadioAudio {
                 if (track) {
                     track.isReady = true;
                 }
+            } finally {
+                clearTimeout(readyTimeout); // don't keep a headless run alive
             }
         }
         
@@ -192,6 +347,26 @@ class RadioAudio {
     }
 
     async loadNoiseTracks() {
+        // Prefer the procedural generator; fall back to the looped MP3 beds without AudioWorklet
+        if (RadioNoise.isSupported(this.audioContext)) {
+            try {
+                const noise = new RadioNoise(this.audioContext, this.random);
+                await noise.initialize();
+                for (const [noiseType, track] of noise.createTracks(this.masterBus || this.audioContext.destination)) {
+                    this.noiseTracks.set(noiseType, track);
+                }
+                this.noise = noise;
+                console.log('Procedural noise tracks created');
+                return;
+            } catch (error) {
+                console.warn('Procedural noise unavailable, using looped noise files:', error);
+            }
+        }
+        
+        await this.loadNoiseTrackFiles();
+    }
+
+    async loadNoiseTrackFiles() {
         try {
             // Load constant noise (white-hiss.mp3)
             const constantNoiseBuffer = await this.loadAudioFile('sounds/white-hiss.mp3');
@@ -214,41 +389,72 @@ class RadioAudio {
         }
     }
 
+    reportTrackError(stationId, src, error) {
+        this.events.emit(RADIO_EVENTS.TRACK_ERROR, { stationId, src, error });
+    }
+
     async loadAudioFile(filename) {
-        const response = await fetch(filename);
-        const arrayBuffer = await response.arrayBuffer();
+        const arrayBuffer = await this.assetLoader.loadArrayBuffer(filename);
         return await this.audioContext.decodeAudioData(arrayBuffer);
     }
 
     createStreamingTrack(station) {
-        // Create HTML audio element for streaming
-        const audioEl = new Audio(`sounds/${station.src}`);
+        const audio = this;
+        const clock = this.broadcastClock;
+        const schedule = this.schedules.get(station.id) || new ProgrammeSchedule(station);
+        const initialState = schedule.getStateAt(clock.now());
+        
+        // Create HTML audio element for streaming (no source while the station is off air)
+        const audioEl = new Audio();
         audioEl.preload = 'metadata'; // Safari mobile compatible
         audioEl.loop = true;
+        if (initialState.src) {
+            audioEl.src = `sounds/${initialState.src}`;
+        }
         
         // Create MediaElementSourceNode
         const sourceNode = this.audioContext.createMediaElementSource(audioEl);
         const gainNode = this.audioContext.createGain();
         
-        // Connect to master bus
-        if (this.masterBus) {
-            sourceNode.connect(gainNode).connect(this.masterBus);
+        // Connect to the band's bus through the station's fade stage
+        const destination = this.masterBus ? this._getBandBus(station.band) : this.audioContext.destination;
+        sourceNode.connect(gainNode);
+        if (this.fading) {
+            this.fading.attach(station.id, gainNode, destination);
         } else {
-            sourceNode.connect(gainNode).connect(this.audioContext.destination);
+            gainNode.connect(destination);
         }
         
-        return {
+        const track = {
             audioEl,      // HTML audio element
             sourceNode,   // MediaElementSourceNode
             gainNode,     // Volume control
             isPlaying: false,
             isReady: false,
             stationId: station.id,
+            offset: station.offset, // seconds ahead of the broadcast clock
+            status: initialState.status, // on-air, interval, carrier or off-air
+            currentSrc: initialState.src,
+            seekPending: false, // our own seek: the 'playing' after its buffering isn't a stall
+            
+            // Jump to where the transmitter would be right now
+            syncToClock: function() {
+                // Scheduled programmes run from their segment start; unscheduled ones from the epoch
+                const state = schedule.getStateAt(clock.now());
+                const synced = state.elapsed !== null
+                    ? clock.syncElementTo(this.audioEl, state.elapsed)
+                    : clock.syncElement(this.audioEl, this.offset);
+                if (synced) {
+                    this.seekPending = true;
+                    console.debug(`Station ${this.stationId} synced to broadcast clock at ${this.audioEl.currentTime.toFixed(1)}s`);
+                }
+            },
             
             // Wait for audio to be ready
             waitForReady: function() {
                 return new Promise((resolve) => {
-                    if (this.isReady) {
+                    if (this.isReady || !this.currentSrc) {
+                        this.isReady = true;
                         resolve();
                         return;
                     }
@@ -290,7 +496,14 @@ class RadioAudio {
             },
             
             start: function() {
-                if (this.isPlaying) return;
+                if (this.isPlaying || !this.currentSrc) return;
+                
+                // Join the programme mid-broadcast; if the duration isn't known yet, sync once it is
+                if (Number.isFinite(this.audioEl.duration)) {
+                    this.syncToClock();
+                } else {
+                    this.audioEl.addEventListener('loadedmetadata', () => this.syncToClock(), { once: true });
+                }
                 
                 // Try to play even if not marked as ready (audio might be ready but event didn't fire)
                 this.audioEl.play().catch(error => {
@@ -300,10 +513,12 @@ class RadioAudio {
                         setTimeout(() => {
                             this.audioEl.play().catch(err => {
                                 console.warn(`Failed to play station ${this.stationId} after retry:`, err);
+                                audio.reportTrackError(this.stationId, this.currentSrc, err);
                             });
                         }, 100);
                     } else {
                         console.warn(`Failed to play station ${this.stationId}:`, error);
+                        audio.reportTrackError(this.stationId, this.currentSrc, error);
                     }
                 });
                 this.isPlaying = true;
@@ -314,10 +529,162 @@ class RadioAudio {
                 
                 this.audioEl.pause();
                 this.isPlaying = false;
+            },
+            
+            // Switch programme (null for silence); keeps playing if it was
+            setSource: function(src) {
+                if (src === this.currentSrc) return;
+                
+                const wasPlaying = this.isPlaying;
+                this.stop();
+                this.currentSrc = src;
+                
+                this.seekPending = false;
+                if (src) {
+                    this.audioEl.src = `sounds/${src}`;
+                } else {
+                    this.audioEl.removeAttribute('src');
+                }
+                this.audioEl.load();
+                
+                if (wasPlaying) {
+                    this.start();
+                }
+            }
+        };
+        
+        // Buffering stalls make the element fall behind the clock; catch up when playback
+        // resumes. Not after our own seek, which stalls too: on a slow connection the clock
+        // would have moved on again and it would seek for ever.
+        audioEl.addEventListener('playing', () => {
+            if (track.seekPending) {
+                track.seekPending = false;
+                return;
+            }
+            track.syncToClock();
+        });
+        
+        // Missing or undecodable programme files
+        audioEl.addEventListener('error', () => {
+            if (!track.currentSrc) return; // removing the source on going off air
+            const message = audioEl.error ? audioEl.error.message || `media error ${audioEl.error.code}` : 'media error';
+            this.reportTrackError(station.id, track.currentSrc, new Error(message));
+        });
+        
+        return track;
+    }
+
+    // Station track that plays a decoded AudioBuffer on the context's own clock, for
+    // contexts that can't stream (OfflineAudioContext). Same shape as a streaming track;
+    // each programme is fetched and decoded the first time it starts.
+    createBufferTrack(station) {
+        const audio = this;
+        const ctx = this.audioContext;
+        const clock = this.broadcastClock;
+        const schedule = this.schedules.get(station.id) || new ProgrammeSchedule(station);
+        const initialState = schedule.getStateAt(clock.now());
+        
+        // Stands in for the media element source, so RF mode can re-route it the same way
+        const sourceNode = ctx.createGain();
+        const gainNode = ctx.createGain();
+        
+        const destination = this.masterBus ? this._getBandBus(station.band) : ctx.destination;
+        sourceNode.connect(gainNode);
+        if (this.fading) {
+            this.fading.attach(station.id, gainNode, destination);
+        } else {
+            gainNode.connect(destination);
+        }
+        
+        return {
+            sourceNode,   // GainNode fed by the current AudioBufferSourceNode
+            gainNode,     // Volume control
+            bufferSource: null,
+            loading: null, // Promise while the programme is being decoded
+            isPlaying: false,
+            isReady: true,
+            stationId: station.id,
+            offset: station.offset,
+            status: initialState.status,
+            currentSrc: initialState.src,
+            
+            // Buffer sources run on the context clock, so once started they never drift
+            syncToClock: function() {},
+            
+            waitForReady: function() {
+                return Promise.resolve();
+            },
+            
+            start: function() {
+                if (this.isPlaying || !this.currentSrc) return;
+                this.isPlaying = true;
+                
+                const src = this.currentSrc;
+                this.loading = audio.loadTrackBuffer(src).then(buffer => {
+                    // Stopped or switched programme while decoding
+                    if (!this.isPlaying || this.currentSrc !== src) return;
+                    
+                    // Join the programme where the transmitter would be now
+                    const state = schedule.getStateAt(clock.now());
+                    const position = state.elapsed !== null
+                        ? ((state.elapsed % buffer.duration) + buffer.duration) % buffer.duration
+                        : clock.getPlayhead(this.offset, buffer.duration);
+                    
+                    this.bufferSource = ctx.createBufferSource();
+                    this.bufferSource.buffer = buffer;
+                    this.bufferSource.loop = true;
+                    this.bufferSource.connect(sourceNode);
+                    this.bufferSource.start(ctx.currentTime, position);
+                }).catch(error => {
+                    console.warn(`Failed to load station ${this.stationId}:`, error);
+                    audio.reportTrackError(this.stationId, src, error);
+                }).finally(() => {
+                    this.loading = null;
+                });
+            },
+            
+            stop: function() {
+                if (!this.isPlaying) return;
+                
+                if (this.bufferSource) {
+                    this.bufferSource.stop();
+                    this.bufferSource.disconnect();
+                    this.bufferSource = null;
+                }
+                this.isPlaying = false;
+            },
+            
+            // Switch programme (null for silence); keeps playing if it was
+            setSource: function(src) {
+                if (src === this.currentSrc) return;
+                
+                const wasPlaying = this.isPlaying;
+                this.stop();
+                this.currentSrc = src;
+                
+                if (wasPlaying) {
+                    this.start();
+                }
             }
         };
     }
 
+    // Fetch and decode a programme once, however many stations or restarts use it
+    loadTrackBuffer(src) {
+        if (!this.trackBuffers.has(src)) {
+            this.trackBuffers.set(src, this.loadAudioFile(`sounds/${src}`));
+        }
+        return this.trackBuffers.get(src);
+    }
+
+    // Resolves when no buffered track is still decoding its programme
+    async whenTracksReady() {
+        const loading = [...this.stationTracks.values()]
+            .map(track => track.loading)
+            .filter(Boolean);
+        await Promise.all(loading);
+    }
+
     createAudioTrack(audioBuffer, loop = false) {
         // Keep this method for noise tracks (they still use BufferSource)
         const audioContext = this.audioContext;
@@ -365,11 +732,28 @@ class RadioAudio {
         };
     }
 
+    // Received strength: from transmitter geography when we know it, else the fixed strength
+    getStationStrength(station) {
+        return station.reception ? station.reception.strength : station.strength;
+    }
+
+    // Strength after the receiver: profile sensitivity, then any reaction
+    getReceivedStrength(station) {
+        const strength = this.getStationStrength(station) * this.sensitivity * this.handicap.strength;
+        return this.applyRegeneration(Math.min(1, strength));
+    }
+
+    // Station's tuning width on this set: its sigma, scaled by the profile's selectivity and
+    // narrowed by reaction. Sets both the Gaussian mixer's curve and the RF passband.
+    getEffectiveSigma(station) {
+        return station.sigma * this.sigmaScale * this.getSelectivityFactor();
+    }
+
     // Station tuning function - calculates volume based on dial position
     calculateStationVolume(station, dialPosition) {
         const distance = Math.abs(dialPosition - station.position);
-        const sigma = station.sigma;
-        const strength = station.strength;
+        const sigma = this.getEffectiveSigma(station);
+        const strength = this.getReceivedStrength(station);
         
         // Gaussian function: volume = strength * exp(-(distance^2) / (2 * sigma^2))
         const volume = strength * Math.exp(-(distance * distance) / (2 * sigma * sigma));
@@ -378,22 +762,26 @@ class RadioAudio {
 
     // Mixing function - keeps all tracks playing and controls volume (mobile Safari friendly)
     updateMixing(dialPosition) {
-        // Check if audio context is ready
-        if (!this.audioContext || this.audioContext.state !== 'running') {
+        // Check if audio context is ready (a render steps its context while it is suspended)
+        if (!this.audioContext || (this.realtime && this.audioContext.state !== 'running')) {
             return;
         }
         
         this.dialPosition = dialPosition;
         
-        // Calculate volumes for all stations
+        // Calculate volumes for the stations on this band (the others fade out on their band bus)
         const stationVolumes = [];
-        for (const station of this.stations) {
+        for (const station of this.getBandStations()) {
             const track = this.stationTracks.get(station.id);
             if (track) {
                 const volume = this.calculateStationVolume(station, dialPosition);
+                const status = this.getStationStatus(station.id);
                 stationVolumes.push({
                     id: station.id,
-                    volume: volume,
+                    station: station,
+                    // A silent carrier still quiets the ether; an off-air station leaves it untouched
+                    volume: status === 'off-air' ? 0 : volume,
+                    audibleVolume: (status === 'on-air' || status === 'interval') ? volume : 0,
                     track: track
                 });
             }
@@ -404,8 +792,16 @@ class RadioAudio {
         
         // Keep all tracks playing and just control volume (mobile Safari friendly)
         for (const stationData of stationVolumes) {
-            const { id, volume, track } = stationData;
-            const scaledVolume = volume * this.masterVolume;
+            const { id, station, audibleVolume, track } = stationData;
+            let scaledVolume = audibleVolume * this.masterVolume;
+            
+            // In RF mode the passband follows the dial and the detector does the tuning
+            if (this.rfMode && this.rf) {
+                const sigma = this.getEffectiveSigma(station);
+                this.rf.setDetune(id, dialPosition - station.position, sigma);
+                const rfGain = this.rf.calculateStationGain(station, dialPosition, this.getReceivedStrength(station), sigma);
+                scaledVolume = audibleVolume > 0 ? rfGain * this.masterVolume : 0;
+            }
             
             // Ensure track is playing if ready
             if (track.isReady && !track.isPlaying) {
@@ -429,15 +825,439 @@ class RadioAudio {
             etherNoiseTrack.gainNode.gain.setValueAtTime(etherVolume, this.audioContext.currentTime);
         }
         
+        // What a tuning indicator shows: the strongest carrier here and the ether around it
+        this.tuningLevels = {
+            signal: maxStationVolume,
+            ether: this.maxEtherNoiseVolume > 0 ? etherVolume / this.maxEtherNoiseVolume : 0
+        };
+        
         // Apply master volume to constant noise
         const constantNoiseTrack = this.noiseTracks.get('constantNoise');
         if (constantNoiseTrack) {
             constantNoiseTrack.gainNode.gain.setValueAtTime(this.maxConstantNoiseVolume * this.masterVolume, this.audioContext.currentTime);
         }
+        
+        // Mains hum comes from the set itself, so tuning doesn't change it
+        const humNoiseTrack = this.noiseTracks.get('humNoise');
+        if (humNoiseTrack) {
+            humNoiseTrack.gainNode.gain.setValueAtTime(this.maxHumNoiseVolume * this.masterVolume, this.audioContext.currentTime);
+        }
 
         // Update whistle automation
         if (this.whistleSystem) {
-            this.whistleSystem.updateWhistlesForDial(dialPosition, this.stations, this.isPoweredOn);
+            const receivedVolumes = new Map(stationVolumes.map(s => [s.id, s.volume]));
+            const bandStations = this.getTransmittingStations().filter(station => station.band === this.currentBand);
+            const receivedStrengths = new Map(bandStations.map(station => [station.id, this.getReceivedStrength(station)]));
+            this.whistleSystem.updateWhistlesForDial(dialPosition, bandStations, this.isPoweredOn, receivedVolumes, receivedStrengths);
+        }
+    }
+
+    // ===== RF MODE =====
+
+    // Switch between the Gaussian mixer (false) and the AM carrier/detector model (true)
+    setRfMode(enabled) {
+        if (!this.audioContext) return;
+        if (enabled && !this.rf) {
+            this.rf = new RadioRF(this.audioContext);
+        }
+        this.rfMode = !!enabled;
+        
+        // With the set off the chains are built at power-on
+        if (this.rfMode && this.isPoweredOn) {
+            this._routeStations(true);
+        } else if (!this.rfMode) {
+            this._routeStations(false);
+            this._teardownRf();
+        }
+        
+        console.log(`RF mode: ${this.rfMode ? 'enabled' : 'disabled'}`);
+        if (this.isPoweredOn) {
+            this.updateMixing(this.dialPosition);
+        }
+    }
+
+    getRfMode() {
+        return this.rfMode;
+    }
+
+    // Connect every station's source to its gain, through its RF chain or directly
+    _routeStations(throughRf) {
+        for (const station of this.stations) {
+            const track = this.stationTracks.get(station.id);
+            if (!track) continue;
+            
+            track.sourceNode.disconnect();
+            if (throughRf) {
+                const chain = this.rf.getChain(station, this.getEffectiveSigma(station));
+                track.sourceNode.connect(chain.input);
+                chain.output.connect(track.gainNode);
+            } else {
+                track.sourceNode.connect(track.gainNode);
+            }
+        }
+    }
+
+    // Stop the carriers and drop the chains; they are rebuilt when next needed
+    _teardownRf() {
+        if (this.rf && this.rf.chains.size > 0) {
+            this.rf.teardown();
+        }
+    }
+
+    // ===== BANDS =====
+
+    getBands() {
+        return this.bands;
+    }
+
+    getBand() {
+        return this.currentBand;
+    }
+
+    getBandStations() {
+        return this.stations.filter(station => station.band === this.currentBand);
+    }
+
+    // Every station on a band feeds that band's bus, so switching bands is a crossfade
+    _getBandBus(bandId) {
+        if (!this.bandBuses.has(bandId)) {
+            const bus = this.audioContext.createGain();
+            bus.gain.value = bandId === this.currentBand ? 1 : 0;
+            bus.connect(this.masterBus);
+            this.bandBuses.set(bandId, bus);
+        }
+        return this.bandBuses.get(bandId);
+    }
+
+    // Switch wavebands: crossfade the station sets and retune noise and whistles to the band
+    setBand(bandId) {
+        const band = this.bands.find(b => b.id === bandId);
+        if (!band) {
+            console.warn(`Unknown band: ${bandId}`);
+            return false;
+        }
+        if (bandId === this.currentBand) return true;
+        
+        this.currentBand = bandId;
+        
+        if (this.audioContext) {
+            const now = this.audioContext.currentTime;
+            for (const [id, bus] of this.bandBuses) {
+                bus.gain.setTargetAtTime(id === bandId ? 1 : 0, now, this.bandCrossfadeTime / 3);
+            }
+        }
+        this.applyBandSettings(band);
+        
+        console.log(`Band: ${band.name} (${band.range.min}-${band.range.max} kHz)`);
+        this.events.emit(RADIO_EVENTS.BAND_CHANGED, { band: bandId });
+        if (this.isPoweredOn) {
+            this.updateMixing(this.dialPosition);
+            this.checkStationDiscovery(this.dialPosition);
+        }
+        return true;
+    }
+
+    applyBandSettings(band) {
+        if (this.whistleSystem) {
+            this.whistleSystem.setWhistleScale(band.whistleScale);
+        }
+        if (this.noise) {
+            // The receiver lets more or less of each through
+            const scale = this.receiverProfile ? this.receiverProfile.noise : { hiss: 1, crash: 1, hum: 1 };
+            const handicap = this.handicap.noise;
+            this.noise.setLevel('hiss', Math.min(1, band.noise.hiss * scale.hiss * handicap));
+            this.noise.setLevel('crash', Math.min(1, band.noise.crash * scale.crash * handicap));
+            this.noise.setLevel('hum', Math.min(1, band.noise.hum * scale.hum * handicap));
+            this.noise.setCrashRateScale(band.noise.crashRate);
+        }
+    }
+
+    // ===== RECEIVER PROFILES =====
+
+    async loadProfiles() {
+        try {
+            const profiles = this.profiles.parse(await this.assetLoader.loadText('profiles.yaml'));
+            this.profiles.warnings.forEach(warning => console.warn(warning.message));
+            this.profiles.errors.forEach(error => console.error(error.message));
+            console.log(`Parsed ${profiles.length} receiver profiles:`, profiles.map(p => p.id));
+        } catch (error) {
+            console.error('Failed to load receiver profiles:', error);
+        }
+    }
+
+    getReceiverProfiles() {
+        return this.profiles.list();
+    }
+
+    getReceiverProfile() {
+        return this.receiverProfile ? this.receiverProfile.id : null;
+    }
+
+    // Switch receiver: cabinet colouring, selectivity, sensitivity, reaction, whistles and noise
+    applyReceiverProfile(profileId) {
+        const profile = this.profiles.get(profileId);
+        if (!profile) {
+            console.warn(`Unknown receiver profile: ${profileId}`);
+            return false;
+        }
+        this.receiverProfile = profile;
+        
+        this.sigmaScale = profile.selectivity;
+        this.sensitivity = profile.sensitivity;
+        
+        this.regenerationAvailable = profile.regeneration;
+        if (!this.regenerationAvailable) {
+            this.setRegeneration(0);
+        }
+        
+        // Unlisted cabinet settings go back to the stock cabinet rather than the last receiver's
+        if (this.cabinet) {
+            this.cabinet.configure({ ...RadioCabinet.defaultConfig(), ...profile.cabinet });
+        }
+        
+        if (this.whistleSystem) {
+            this.whistleSystem.setWhistlesEnabled(profile.whistles.enabled);
+            this.whistleSystem.setWhistleMaxGain(profile.whistles.maxGain);
+            this.whistleSystem.setWhistleEdgeWidth(profile.whistles.edgeWidth);
+            if (profile.whistles.enabled && this.isPoweredOn) {
+                this.whistleSystem.startWhistleOscillators(this.stations);
+            }
+        }
+        
+        // Noise levels are the band's, scaled by the receiver
+        const band = this.bands.find(b => b.id === this.currentBand);
+        if (band) {
+            this.applyBandSettings(band);
+        }
+        
+        console.log(`Receiver profile: ${profile.name}`);
+        this.events.emit(RADIO_EVENTS.PROFILE_CHANGED, { profile: profile.id });
+        if (this.isPoweredOn) {
+            this.updateMixing(this.dialPosition);
+        }
+        return true;
+    }
+
+    // Weaker signals and more interference, e.g. for harder game rounds; {} restores normal reception
+    setReceptionHandicap({ strength = 1, noise = 1 } = {}) {
+        this.handicap = { strength, noise };
+        
+        const band = this.bands.find(b => b.id === this.currentBand);
+        if (band) {
+            this.applyBandSettings(band);
+        }
+        if (this.isPoweredOn) {
+            this.updateMixing(this.dialPosition);
+        }
+    }
+
+    getReceptionHandicap() {
+        return { ...this.handicap };
+    }
+
+    // Frequency (kHz) under the pointer on the current band
+    getDialFrequency(dialPosition = this.dialPosition) {
+        const band = this.bands.find(b => b.id === this.currentBand);
+        if (!band) return null;
+        return band.range.min + (dialPosition / 180) * (band.range.max - band.range.min);
+    }
+
+    // ===== VOLUME AND TONE =====
+
+    // Volume knob, 0..1. Squared so the knob feels even to the ear; independent of the
+    // power-on fade, which stays in masterVolume.
+    setVolume(value) {
+        this.userVolume = Math.max(0, Math.min(1, value));
+        if (this.masterBus) {
+            const gain = this.userVolume * this.userVolume;
+            this.masterBus.gain.setTargetAtTime(gain, this.audioContext.currentTime, this.volumeRampTime);
+        }
+    }
+
+    getVolume() {
+        return this.userVolume;
+    }
+
+    // Tone knob, 0 (dull) .. 1 (bright), mapped logarithmically onto the cabinet low-pass
+    setTone(value) {
+        const tone = Math.max(0, Math.min(1, value));
+        const cutoff = this.toneMinCutoff * Math.pow(this.toneMaxCutoff / this.toneMinCutoff, tone);
+        if (this.cabinet) {
+            this.cabinet.setLowpassCutoff(cutoff);
+        }
+    }
+
+    getTone() {
+        if (!this.cabinet) return null;
+        const cutoff = this.cabinet.getLowpassCutoff();
+        return Math.log(cutoff / this.toneMinCutoff) / Math.log(this.toneMaxCutoff / this.toneMinCutoff);
+    }
+
+    // ===== REGENERATION =====
+
+    // Reaction knob, 0..1. Feedback sharpens the tuning and lifts weak stations; past
+    // regenerationThreshold the detector oscillates and every nearby carrier squeals.
+    setRegeneration(value) {
+        this.regeneration = this.regenerationAvailable ? Math.max(0, Math.min(1, value)) : 0;
+        
+        if (this.whistleSystem) {
+            this.whistleSystem.setOscillation(this.getOscillationLevel());
+        }
+        if (this.isPoweredOn) {
+            this.updateMixing(this.dialPosition);
+        }
+    }
+
+    getRegeneration() {
+        return this.regeneration;
+    }
+
+    getRegenerationAvailable() {
+        return this.regenerationAvailable;
+    }
+
+    // Progress towards the threshold (0..1); feedback stops helping once the set oscillates
+    _regenerationAmount() {
+        return Math.min(1, this.regeneration / this.regenerationThreshold);
+    }
+
+    // Multiplier on every station's sigma: 1 with no reaction, narrower as it is advanced
+    getSelectivityFactor() {
+        return 1 - this.regenerationSharpening * this._regenerationAmount();
+    }
+
+    // Sensitivity boost: a weak station gains far more than a strong one, which is
+    // already near the top of the scale
+    applyRegeneration(strength) {
+        const exponent = 1 + this.regenerationBoost * this._regenerationAmount();
+        return 1 - Math.pow(1 - Math.max(0, Math.min(1, strength)), exponent);
+    }
+
+    // 0 below the threshold, rising to 1 with the knob fully advanced
+    getOscillationLevel() {
+        if (this.regeneration <= this.regenerationThreshold) return 0;
+        return (this.regeneration - this.regenerationThreshold) / (1 - this.regenerationThreshold);
+    }
+
+    // ===== LISTENER LOCATION =====
+
+    // Recompute every station's reception for the listener location and time of day.
+    // Stations without a transmitter (or before a location is known) keep `strength`.
+    updateReception() {
+        const now = this.broadcastClock.now();
+        for (const station of this.stations) {
+            station.reception = this.propagation.calculateReception(station.transmitter, now);
+            if (this.fading) {
+                this.fading.configure(station.id, this.getFadingParameters(station));
+            }
+        }
+        
+        // More distant lightning is heard after dark at the listener
+        const listener = this.propagation.getListenerLocation();
+        if (this.noise && listener) {
+            this.noise.setNightFactor(this.propagation.nightFactor(now, listener, listener));
+        }
+        
+        if (this.isPoweredOn) {
+            this.updateMixing(this.dialPosition);
+        }
+    }
+
+    // Station `fading` metadata wins; otherwise the depth comes from propagation
+    getFadingParameters(station) {
+        const configured = station.fading || {};
+        const depth = configured.depth !== undefined
+            ? configured.depth
+            : (station.reception ? station.reception.fadingDepth : 0);
+        
+        return {
+            depth,
+            rate: configured.rate,
+            randomness: configured.randomness,
+            selective: configured.selective !== undefined ? configured.selective : 'auto'
+        };
+    }
+
+    startReceptionUpdates() {
+        if (this.receptionInterval) {
+            clearInterval(this.receptionInterval);
+        }
+        this.receptionInterval = setInterval(() => this.updateReception(), this.receptionUpdateMs);
+    }
+
+    stopReceptionUpdates() {
+        if (this.receptionInterval) {
+            clearInterval(this.receptionInterval);
+            this.receptionInterval = null;
+        }
+    }
+
+    setListenerLocation(locationId) {
+        if (!this.propagation.setListenerLocation(locationId)) return false;
+        this.updateReception();
+        this.events.emit(RADIO_EVENTS.LOCATION_CHANGED, { location: this.getListenerLocation() });
+        return true;
+    }
+
+    getListenerLocation() {
+        const location = this.propagation.getListenerLocation();
+        return location ? location.id : null;
+    }
+
+    getListenerLocations() {
+        return this.locations;
+    }
+
+    // ===== PROGRAMME SCHEDULES =====
+
+    // on-air, interval, carrier or off-air
+    getStationStatus(stationId) {
+        const track = this.stationTracks.get(stationId);
+        return track && track.status ? track.status : 'on-air';
+    }
+
+    // Stations whose carrier is currently up (only these can heterodyne)
+    getTransmittingStations() {
+        return this.stations.filter(station => this.getStationStatus(station.id) !== 'off-air');
+    }
+
+    startScheduleUpdates() {
+        if (this.scheduleInterval) {
+            clearInterval(this.scheduleInterval);
+        }
+        this.updateSchedules();
+        this.scheduleInterval = setInterval(() => this.updateSchedules(), this.scheduleCheckMs);
+    }
+
+    stopScheduleUpdates() {
+        if (this.scheduleInterval) {
+            clearInterval(this.scheduleInterval);
+            this.scheduleInterval = null;
+        }
+    }
+
+    // Switch each scheduled station to whatever it should be transmitting now
+    updateSchedules() {
+        const now = this.broadcastClock.now();
+        let changed = false;
+        
+        for (const [stationId, schedule] of this.schedules) {
+            if (!schedule.hasSchedule()) continue;
+            
+            const track = this.stationTracks.get(stationId);
+            if (!track) continue;
+            
+            const state = schedule.getStateAt(now);
+            if (state.status !== track.status || state.src !== track.currentSrc) {
+                console.log(`Station ${stationId}: ${track.status} -> ${state.status}${state.src ? ` (${state.src})` : ''}`);
+                track.status = state.status;
+                track.setSource(state.src);
+                changed = true;
+            }
+        }
+        
+        if (changed && this.isPoweredOn) {
+            this.updateMixing(this.dialPosition);
         }
     }
 
@@ -448,9 +1268,10 @@ class RadioAudio {
             // Turning on
             this.startAllTracks();
             this.isPoweredOn = true;
+            this.events.emit(RADIO_EVENTS.POWER_ON, {});
+            this.checkStationDiscovery(this.dialPosition);
         } else {
-            // Turning off
-            this.isPoweredOn = false;
+            // Turning off (stopAllTracks clears isPoweredOn itself)
             this.stopAllTracks();
         }
         
@@ -463,8 +1284,8 @@ class RadioAudio {
             return;
         }
         
-        // Resume audio context if suspended
-        if (this.audioContext.state === 'suspended') {
+        // Resume audio context if suspended (a render's context is started by the renderer)
+        if (this.realtime && this.audioContext.state === 'suspended') {
             console.log('Resuming suspended audio context...');
             this.audioContext.resume().then(() => {
                 console.log('Audio context resumed successfully, state:', this.audioContext.state);
@@ -483,8 +1304,14 @@ class RadioAudio {
     _startTracksAfterResume() {
         console.log('Starting audio tracks...');
         
+        // RF chains (and their carriers) only exist while the set is on
+        if (this.rfMode) {
+            this._routeStations(true);
+        }
+        
         // For streaming tracks, don't start all stations - let updateMixing handle top-K selection
         // Tracks are already ready from createStationTracks()
+        this.resyncStationTracks();
         
         // Start all noise tracks (these still use BufferSource)
         for (const [noiseType, track] of this.noiseTracks) {
@@ -501,40 +1328,93 @@ class RadioAudio {
             this.whistleSystem.startWhistleOscillators(this.stations);
         }
         
+        // Stations swell and fade even while the dial is still
+        if (this.fading && this.realtime) {
+            this.fading.start();
+        }
+        
         // Start master volume fade-in
         this.fadeInMasterVolume();
     }
 
+    // Re-align every playing station with the broadcast clock
+    resyncStationTracks() {
+        for (const [stationId, track] of this.stationTracks) {
+            if (track.isPlaying && track.syncToClock) {
+                track.syncToClock();
+            }
+        }
+    }
+
     fadeInMasterVolume() {
-        const startTime = this.audioContext.currentTime;
-        const fadeEndTime = startTime + this.startupFadeDuration;
+        this.fadeInStartTime = this.audioContext.currentTime;
         
         // Fade master volume from 0 to 1
         this.masterVolume = 0;
         console.log(`Master volume fade-in: ${this.startupFadeDuration}s`);
         
+        // Without timers, advance() steps the fade
+        if (!this.realtime) return;
+        
         // Use linear ramp for smooth fade
-        const fadeInterval = setInterval(() => {
+        this._stopFadeIn();
+        this.fadeInterval = setInterval(() => {
             // Check if audio context is running
             if (this.audioContext.state !== 'running') {
                 return;
             }
             
-            const elapsed = (this.audioContext.currentTime - startTime);
-            const progress = Math.min(elapsed / this.startupFadeDuration, 1);
-            
-            this.masterVolume = progress;
+            const complete = this._updateFadeIn();
             
             // Update mixing with current master volume
             this.updateMixing(this.dialPosition);
             
-            if (progress >= 1) {
-                clearInterval(fadeInterval);
+            if (complete) {
+                this._stopFadeIn();
                 console.log('Master volume fade-in complete');
             }
         }, 16); // Update every 16ms for smooth 60fps fade
     }
 
+    _stopFadeIn() {
+        if (this.fadeInterval) {
+            clearInterval(this.fadeInterval);
+            this.fadeInterval = null;
+        }
+    }
+
+    // Master volume for the current point of the power-on fade; true once complete
+    _updateFadeIn() {
+        const elapsed = (this.audioContext.currentTime - this.fadeInStartTime);
+        const progress = Math.min(elapsed / this.startupFadeDuration, 1);
+        this.masterVolume = progress;
+        return progress >= 1;
+    }
+
+    // ===== NON-REALTIME =====
+
+    // With realtime: false nothing runs on timers. Call this at each step of a render
+    // (with the context suspended at `time`) to do what the timers would have done by
+    // then: programme schedules, reception, fading and the power-on fade. Then mixes.
+    advance(time = this.audioContext.currentTime) {
+        if (time - this.lastScheduleTime >= this.scheduleCheckMs / 1000) {
+            this.lastScheduleTime = time;
+            this.updateSchedules();
+        }
+        if (time - this.lastReceptionTime >= this.receptionUpdateMs / 1000) {
+            this.lastReceptionTime = time;
+            this.updateReception();
+        }
+        
+        if (!this.isPoweredOn) return;
+        
+        if (this.fading) {
+            this.fading.update(time);
+        }
+        this._updateFadeIn();
+        this.updateMixing(this.dialPosition);
+    }
+
     stopAllTracks() {
         if (!this.audioContext || !this.isPoweredOn) return;
         
@@ -563,9 +1443,42 @@ class RadioAudio {
             this.whistleSystem.stopWhistleOscillators();
         }
         
+        if (this.fading) {
+            this.fading.stop();
+        }
+        
+        // Carrier oscillators keep running until stopped
+        if (this.rfMode) {
+            this._routeStations(false);
+            this._teardownRf();
+        }
+        
+        // Nothing is tuned in with the set off
+        this.tuningLevels = { signal: 0, ether: 0 };
+        if (this.tunedStation) {
+            this.events.emit(RADIO_EVENTS.STATION_LEFT, { station: this.tunedStation });
+            this.tunedStation = null;
+        }
+        this.events.emit(RADIO_EVENTS.POWER_OFF, {});
+        
         console.log('Radio powered off');
     }
 
+    // Switch off and clear every timer (debug report, power-on fade, fading, programme
+    // schedules, reception), e.g. at the end of a headless run so Node can exit.
+    // The audio context belongs to the caller and is left open.
+    dispose() {
+        this.stopAllTracks();
+        this._stopFadeIn();
+        if (this.fading) {
+            this.fading.stop();
+        }
+        this.stopScheduleUpdates();
+        this.stopReceptionUpdates();
+        this.stopDebugging();
+        console.log('Radio audio disposed');
+    }
+
     // Method to be called when dial position changes
     onDialPositionChange(dialPosition) {
         this.dialPosition = dialPosition;
@@ -575,125 +1488,53 @@ class RadioAudio {
         }
     }
 
-    // Check if user is tuned close enough to a station to trigger discovery
-    checkStationDiscovery(dialPosition) {
-        if (!this.stations) return;
+    // { signal, ether } 0-1: strongest carrier at the dial and the ether noise level
+    getTuningLevels() {
+        return { ...this.tuningLevels };
+    }
 
-        let isNearStation = false;
-        
-        // Check each station to see if we're within 0.2 points
-        for (const station of this.stations) {
-            const distance = Math.abs(dialPosition - station.position);
-            
-            if (distance <= 0.2) {
-                isNearStation = true;
-                if (!this.discoveredStations.has(station.id)) {
-                    // Start discovery animation for this station
-                    this.startStationDiscovery(station);
-                    break; // Only discover one station at a time
-                }
+    // The transmitting station the dial is on (within discovery range), or null
+    getTunedStation(dialPosition = this.dialPosition) {
+        for (const station of this.getBandStations()) {
+            const status = this.getStationStatus(station.id);
+            if (status !== 'on-air' && status !== 'interval') continue;
+            if (Math.abs(dialPosition - station.position) <= 0.2) {
+                return station;
             }
         }
-        
-        // If not near any station and triangle is white, reset it to grey
-        if (!isNearStation && this.isTriangleWhite()) {
-            this.resetTriangleColor();
-        }
-    }
-
-    // Check if triangle is currently white
-    isTriangleWhite() {
-        const triangle = document.getElementById('dialPointer');
-        if (!triangle) return false;
-        const currentColor = triangle.style.borderTopColor;
-        return currentColor === 'rgb(255, 255, 255)' || currentColor === '#fff' || currentColor === '#ffffff';
+        return null;
     }
 
-    // Reset triangle color to grey immediately
-    resetTriangleColor() {
-        const triangle = document.getElementById('dialPointer');
-        if (!triangle) return;
-        
-        // Cancel any ongoing animation
-        if (this.discoveryAnimationId) {
-            cancelAnimationFrame(this.discoveryAnimationId);
-            this.discoveryAnimationId = null;
-        }
+    // Follow which station the dial is on. Emits 'station-left' and 'station-entered' as
+    // the dial moves between stations, and 'station-discovered' the first time each is found.
+    checkStationDiscovery(dialPosition) {
+        if (!this.stations) return;
         
-        // Immediately reset to darker grey
-        triangle.style.borderTopColor = '#666';
-        this.currentDiscoveryStation = null;
+        const station = this.getTunedStation(dialPosition);
+        const previous = this.tunedStation;
+        if ((station && station.id) === (previous && previous.id)) return;
         
-        console.log('Triangle color reset to default grey immediately');
+        this.tunedStation = station;
+        if (previous) {
+            this.events.emit(RADIO_EVENTS.STATION_LEFT, { station: previous });
+        }
+        if (station) {
+            this.events.emit(RADIO_EVENTS.STATION_ENTERED, { station });
+            if (!this.discoveredStations.has(station.id)) {
+                console.log(`Station discovered: ${station.title}`);
+                this.discoveredStations.add(station.id);
+                this.events.emit(RADIO_EVENTS.STATION_DISCOVERED, { station });
+            }
+        }
     }
 
-    // Start the station discovery animation
-    startStationDiscovery(station) {
-        console.log(`Station discovery started for: ${station.title}`);
-        
-        // Mark station as being discovered
-        this.currentDiscoveryStation = station;
-        this.discoveredStations.add(station.id);
-        
-        // Start the triangle color animation
-        this.animateTriangleDiscovery();
-        
-        // Show discovery message
-        this.showStationDiscoveryMessage(station);
+    // Stations found in earlier visits (from the logbook) aren't announced again
+    setDiscoveredStations(stationIds) {
+        this.discoveredStations = new Set(stationIds);
     }
 
-    // Animate triangle color from grey to white over 15 seconds
-    animateTriangleDiscovery() {
-        const triangle = document.getElementById('dialPointer');
-        if (!triangle) return;
-
-        const startTime = Date.now();
-        const duration = 15000; // 15 seconds
-        
-        const animate = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            
-            // Apply cubic easing curve (ease-out)
-            const easedProgress = 1 - Math.pow(1 - progress, 3);
-            
-            // Interpolate from #666 to #fff
-            const greyR = 0x66;
-            const greyG = 0x66;
-            const greyB = 0x66;
-            const whiteR = 0xff;
-            const whiteG = 0xff;
-            const whiteB = 0xff;
-            
-            const currentR = Math.round(greyR + (whiteR - greyR) * easedProgress);
-            const currentG = Math.round(greyG + (whiteG - greyG) * easedProgress);
-            const currentB = Math.round(greyB + (whiteB - greyB) * easedProgress);
-            
-            const colorHex = `#${currentR.toString(16).padStart(2, '0')}${currentG.toString(16).padStart(2, '0')}${currentB.toString(16).padStart(2, '0')}`;
-            
-            triangle.style.borderTopColor = colorHex;
-            
-            if (progress < 1) {
-                this.discoveryAnimationId = requestAnimationFrame(animate);
-            } else {
-                // Animation complete
-                this.discoveryAnimationId = null;
-                this.currentDiscoveryStation = null;
-            }
-        };
-        
-        animate();
-    }
-
-    // Show station discovery message
-    showStationDiscoveryMessage(station) {
-        if (window.radioController && window.radioController.messages) {
-            // Wait for the triangle animation to complete (15 seconds) then show combined message
-            setTimeout(() => {
-                const message = `Station Discovered! ${station.title}`;
-                window.radioController.messages.displayMessage(message, "#FFF");
-            }, 15000);
-        }
+    getDiscoveredStations() {
+        return [...this.discoveredStations];
     }
 
     setStartupFadeDuration(durationSeconds) {
@@ -732,6 +1573,19 @@ class RadioAudio {
 
     // Ether noise volume is now controlled by getMaxEtherNoiseVolume()
 
+    // Level of a procedural noise component: 'hiss', 'crash' or 'hum'
+    setNoiseLevel(component, level) {
+        if (!this.noise) {
+            console.warn('Procedural noise not active; noise levels are fixed');
+            return;
+        }
+        this.noise.setLevel(component, Math.max(0, Math.min(1, level)));
+    }
+
+    getNoiseLevel(component) {
+        return this.noise ? this.noise.getLevel(component) : null;
+    }
+
     // Whistle configuration methods are now available directly on the whistleSystem instance
     // Access them via: radioAudio.whistleSystem.setWhistlesEnabled(), etc.
 
@@ -741,6 +1595,11 @@ class RadioAudio {
         console.log(`Timestamp: ${new Date().toISOString()}`);
         console.log(`Current Dial Position: ${this.dialPosition}`);
         console.log(`Power State: ${this.isPoweredOn ? 'ON' : 'OFF'}`);
+        console.log(`Mixer: ${this.rfMode ? 'RF (AM detector)' : 'Gaussian'}`);
+        console.log(`Receiver Profile: ${this.getReceiverProfile() || 'none'}`);
+        const dialFrequency = this.getDialFrequency();
+        console.log(`Band: ${this.currentBand}${dialFrequency !== null ? ` (${dialFrequency.toFixed(0)} kHz)` : ''}`);
+        console.log(`Listener Location: ${this.getListenerLocation() || 'none (fixed strengths)'}`);
         console.log(`Master Volume: ${this.masterVolume.toFixed(3)}`);
         
         // Audio Context Status
@@ -763,6 +1622,9 @@ class RadioAudio {
         console.log('\n--- STATION TRACKS ---');
         console.log(`Total Stations: ${this.stations.length}`);
         console.log(`Total Tracks Created: ${this.stationTracks.size}`);
+        if (this.stationErrors.length > 0 || this.stationWarnings.length > 0) {
+            console.log(`${this.stationsFile}: ${this.stationErrors.length} error(s), ${this.stationWarnings.length} warning(s)`);
+        }
         
         // Calculate current volumes for all stations
         const stationVolumes = [];
@@ -772,7 +1634,8 @@ class RadioAudio {
             stationVolumes.push({
                 id: station.id,
                 position: station.position,
-                strength: station.strength,
+                strength: this.getStationStrength(station),
+                reception: station.reception,
                 sigma: station.sigma,
                 volume: volume,
                 track: track
@@ -788,20 +1651,38 @@ class RadioAudio {
             
             console.log(`\nStation ${index + 1}: ${station.id}`);
             console.log(`  Position: ${station.position}`);
-            console.log(`  Strength: ${station.strength}`);
+            console.log(`  Strength: ${station.strength.toFixed(3)}`);
+            if (station.reception) {
+                console.log(`  Reception: ${station.reception.distanceKm.toFixed(0)}km, night ${station.reception.night.toFixed(2)}, fading depth ${station.reception.fadingDepth.toFixed(2)}`);
+            }
             console.log(`  Sigma: ${station.sigma}`);
             console.log(`  Calculated Volume: ${station.volume.toFixed(3)}`);
             console.log(`  Audible Volume: ${hasAudibleVolume}`);
             
             if (track) {
+                console.log(`  Schedule Status: ${track.status} (${track.currentSrc || 'no programme'})`);
                 console.log(`  Track Ready: ${track.isReady}`);
                 console.log(`  Track Playing: ${track.isPlaying}`);
                 console.log(`  Track Gain Node Value: ${track.gainNode.gain.value.toFixed(3)}`);
-                console.log(`  Audio Element Ready State: ${track.audioEl.readyState}`);
-                console.log(`  Audio Element Paused: ${track.audioEl.paused}`);
-                console.log(`  Audio Element Current Time: ${track.audioEl.currentTime.toFixed(3)}s`);
-                console.log(`  Audio Element Duration: ${track.audioEl.duration || 'Unknown'}`);
-                console.log(`  Audio Element Error: ${track.audioEl.error ? track.audioEl.error.message : 'None'}`);
+                if (this.fading) {
+                    console.log(`  Fading Level: ${this.fading.getLevel(station.id).toFixed(3)}`);
+                }
+                if (track.audioEl) {
+                    console.log(`  Audio Element Ready State: ${track.audioEl.readyState}`);
+                    console.log(`  Audio Element Paused: ${track.audioEl.paused}`);
+                    console.log(`  Audio Element Current Time: ${track.audioEl.currentTime.toFixed(3)}s`);
+                    console.log(`  Broadcast Clock Playhead: ${this.broadcastClock.getPlayhead(track.offset, track.audioEl.duration).toFixed(3)}s`);
+                    console.log(`  Audio Element Duration: ${track.audioEl.duration || 'Unknown'}`);
+                    console.log(`  Audio Element Error: ${track.audioEl.error ? track.audioEl.error.message : 'None'}`);
+                } else {
+                    // Buffered track: an AudioBufferSourceNode per programme, decoded on first start
+                    const buffer = track.bufferSource ? track.bufferSource.buffer : null;
+                    console.log(`  Buffer Source: ${track.bufferSource ? 'Started' : (track.loading ? 'Decoding' : 'None')}`);
+                    if (buffer) {
+                        console.log(`  Buffer Duration: ${buffer.duration.toFixed(3)}s`);
+                        console.log(`  Broadcast Clock Playhead: ${this.broadcastClock.getPlayhead(track.offset, buffer.duration).toFixed(3)}s`);
+                    }
+                }
             } else {
                 console.log(`  Track: NOT CREATED`);
             }
@@ -814,11 +1695,14 @@ class RadioAudio {
             if (track && track.gainNode) {
                 console.log(`  Gain Node Value: ${track.gainNode.gain.value.toFixed(3)}`);
                 console.log(`  Source Active: ${track.source ? 'Yes' : 'No'}`);
+                console.log(`  Source Type: ${this.noise ? 'procedural' : 'file'}`);
             } else {
                 console.log(`  Track: NOT AVAILABLE`);
             }
         }
         
+        console.log(`Regeneration: ${this.regeneration.toFixed(2)} (selectivity x${this.getSelectivityFactor().toFixed(2)}, oscillation ${this.getOscillationLevel().toFixed(2)})`);
+        
         // Whistle System Status
         console.log('\n--- WHISTLE SYSTEM ---');
         if (this.whistleSystem) {
@@ -859,4 +1743,11 @@ class RadioAudio {
             console.log('Audio system debugging stopped');
         }
     }
-} 
\ No newline at end of file
+} 
+
+// Export for use in main simulator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RadioAudio;
+} else if (typeof window !== 'undefined') {
+    window.RadioAudio = RadioAudio;
+}
@@ -2,41 +2,120 @@
 // Vintage radio cabinet simulation with tube saturation, cabinet resonance, and speaker distortion
 
 // ===== CONFIGURATION VARIABLES =====
-// Edit these values to adjust the vintage radio character
+// Edit these values to adjust the vintage radio character (defaults for every new cabinet)
 
 // Bandwidth Filters
-let ENABLE_HIGHPASS = true;
+const ENABLE_HIGHPASS = true;
 const HIGHPASS_CUTOFF = 450; // Hz
-let ENABLE_LOWPASS = true;
+const ENABLE_LOWPASS = true;
 const LOWPASS_CUTOFF = 3000; // Hz
 
 // Reverb Settings
-let ENABLE_REVERB = true;
+const ENABLE_REVERB = true;
 const REVERB_ROOM_SIZE = 0.5;
 const REVERB_DECAY_TIME = 1.0; // seconds
 const REVERB_DAMPING = 1.0;
 const REVERB_MIX = 0.3;
+const REVERB_PRE_DELAY = 0; // seconds before the reverb starts
+const REVERB_IMPULSE = ''; // measured impulse response in sounds/ (e.g. "ir/marconiphone-1926.wav"); '' = procedural
+const IMPULSE_BASE_URL = 'sounds/';
 
 // Tube Effects
-let ENABLE_TUBE = true;
+const ENABLE_TUBE = true;
 const TUBE_SATURATION = 80; // 0-100
 const SPEAKER_DISTORTION = 20; // 0-50
 
 // Cabinet Effects
-let ENABLE_CABINET = true;
+const ENABLE_CABINET = true;
 const CABINET_FREQUENCY = 70; // Hz (0-500)
 const CABINET_GAIN = 30; // dB (0-50)
 const CABINET_Q = 1.5; // 1-20
 
+// Parameter smoothing
+const PARAMETER_RAMP_TIME = 0.03; // seconds, setTargetAtTime constant for filter and gain changes
+const SWITCH_FADE_TIME = 0.01; // seconds, output dip while stages are switched in or out
+const SWITCH_DELAY_MS = 50; // wait for the dip before rewiring
+const IMPULSE_FADE_MS = 80; // wet path is faded out while the impulse response is replaced
+
+// ===== PARAMETERS =====
+// Every setting of a cabinet. `apply` says how a change reaches the graph:
+//   'param'    ramp an AudioParam (click-free)
+//   'curve'    rebuild a waveshaper curve
+//   'impulse'  rebuild the procedural impulse response (wet path faded out meanwhile)
+//   'file'     load a measured impulse response, falling back to the procedural one
+//   'mix'      ramp the reverb wet/dry gains
+//   'graph'    switch a stage in or out (output dipped while rewiring)
+
+const CABINET_PARAMETERS = {
+    highpassEnabled: { type: 'boolean', default: ENABLE_HIGHPASS, label: 'High-pass filter', group: 'Bandwidth', apply: 'graph' },
+    highpassCutoff: { type: 'number', default: HIGHPASS_CUTOFF, min: 20, max: 2000, step: 10, unit: 'Hz', label: 'High-pass cutoff', group: 'Bandwidth', apply: 'param', node: 'highpass', param: 'frequency' },
+    lowpassEnabled: { type: 'boolean', default: ENABLE_LOWPASS, label: 'Low-pass filter', group: 'Bandwidth', apply: 'graph' },
+    lowpassCutoff: { type: 'number', default: LOWPASS_CUTOFF, min: 500, max: 12000, step: 50, unit: 'Hz', label: 'Low-pass cutoff', group: 'Bandwidth', apply: 'param', node: 'lowpass', param: 'frequency' },
+
+    reverbEnabled: { type: 'boolean', default: ENABLE_REVERB, label: 'Reverb', group: 'Reverb', apply: 'graph' },
+    reverbRoomSize: { type: 'number', default: REVERB_ROOM_SIZE, min: 0, max: 1, step: 0.05, unit: '', label: 'Room size', group: 'Reverb', apply: 'impulse' },
+    reverbDecayTime: { type: 'number', default: REVERB_DECAY_TIME, min: 0.1, max: 5, step: 0.1, unit: 's', label: 'Decay time', group: 'Reverb', apply: 'impulse' },
+    reverbDamping: { type: 'number', default: REVERB_DAMPING, min: 0, max: 2, step: 0.05, unit: '', label: 'Damping', group: 'Reverb', apply: 'impulse' },
+    reverbMix: { type: 'number', default: REVERB_MIX, min: 0, max: 1, step: 0.01, unit: '', label: 'Wet/dry mix', group: 'Reverb', apply: 'mix' },
+    reverbPreDelay: { type: 'number', default: REVERB_PRE_DELAY, min: 0, max: 0.2, step: 0.005, unit: 's', label: 'Pre-delay', group: 'Reverb', apply: 'param', node: 'preDelay', param: 'delayTime' },
+    reverbImpulse: { type: 'string', default: REVERB_IMPULSE, label: 'Impulse response', group: 'Reverb', apply: 'file' },
+
+    tubeEnabled: { type: 'boolean', default: ENABLE_TUBE, label: 'Tube saturation', group: 'Tube', apply: 'graph' },
+    tubeSaturation: { type: 'number', default: TUBE_SATURATION, min: 0, max: 100, step: 1, unit: '', label: 'Saturation', group: 'Tube', apply: 'curve' },
+    speakerDistortion: { type: 'number', default: SPEAKER_DISTORTION, min: 0, max: 50, step: 1, unit: '', label: 'Speaker distortion', group: 'Tube', apply: 'curve' },
+
+    cabinetEnabled: { type: 'boolean', default: ENABLE_CABINET, label: 'Cabinet resonance', group: 'Cabinet', apply: 'graph' },
+    cabinetFrequency: { type: 'number', default: CABINET_FREQUENCY, min: 20, max: 500, step: 1, unit: 'Hz', label: 'Resonance frequency', group: 'Cabinet', apply: 'param', node: 'cabinetResonator', param: 'frequency' },
+    cabinetGain: { type: 'number', default: CABINET_GAIN, min: 0, max: 50, step: 1, unit: 'dB', label: 'Resonance gain', group: 'Cabinet', apply: 'param', node: 'cabinetResonator', param: 'gain' },
+    cabinetQ: { type: 'number', default: CABINET_Q, min: 1, max: 20, step: 0.1, unit: '', label: 'Resonance Q', group: 'Cabinet', apply: 'param', node: 'cabinetResonator', param: 'Q' }
+};
+
 // ===== AUDIO PROCESSING CLASS =====
 
 class RadioCabinet {
-    constructor(audioContext) {
+    constructor(audioContext, config = {}, random = Math.random, assetLoader = null) {
         this.audioContext = audioContext;
+        this.random = random; // procedural impulse noise; seed it for reproducible renders
+        this.assetLoader = assetLoader; // { loadArrayBuffer(path) } for impulse URLs; null = fetch
         this.nodes = {};
         this.isInitialized = false;
         this.currentInput = null;
         this.currentOutput = null;
+        this.switchTimeout = null;
+        this.impulseTimeout = null;
+        this.measuredImpulse = null; // AudioBuffer of a loaded impulse response, null = procedural
+        this.impulseRequest = 0; // latest load wins if several overlap
+        this.impulseLoads = 0; // loads in flight
+        this.settleWaiters = []; // whenSettled() callers
+
+        // Every instance has its own settings, starting from the defaults above
+        this.config = RadioCabinet.defaultConfig();
+        for (const [name, value] of Object.entries(config)) {
+            this.setParameter(name, value);
+        }
+    }
+
+    // Parameter descriptors (type, default, range, unit, label, group), e.g. to build controls
+    static get PARAMETERS() {
+        return CABINET_PARAMETERS;
+    }
+
+    static defaultConfig() {
+        const config = {};
+        for (const [name, spec] of Object.entries(CABINET_PARAMETERS)) {
+            config[name] = spec.default;
+        }
+        return config;
+    }
+
+    // Rebuild a cabinet from toJSON() output (an object or a JSON string)
+    static fromJSON(audioContext, json, random = Math.random, assetLoader = null) {
+        const config = typeof json === 'string' ? JSON.parse(json) : json;
+        return new RadioCabinet(audioContext, config || {}, random, assetLoader);
+    }
+
+    toJSON() {
+        return { ...this.config };
     }
 
     // Create distortion curves
@@ -78,12 +157,18 @@ class RadioCabinet {
                 // Apply damping to high frequencies
                 const dampedDecay = decay + (damping * 2);
                 const envelope = Math.pow(1 - i / len, dampedDecay);
-                data[i] = (Math.random() * 2 - 1) * envelope;
+                data[i] = (this.random() * 2 - 1) * envelope;
             }
         }
         return buf;
     }
 
+    // Impulse response for the current room size, decay time and damping
+    _buildImpulse() {
+        const seconds = this.config.reverbDecayTime * (0.5 + this.config.reverbRoomSize);
+        return this.makeImpulse(this.audioContext, seconds, 2.3, this.config.reverbDamping);
+    }
+
     // Initialize all audio nodes
     initialize() {
         if (this.isInitialized) return;
@@ -91,52 +176,45 @@ class RadioCabinet {
         // Bandwidth Filters
         this.nodes.highpass = this.audioContext.createBiquadFilter();
         this.nodes.highpass.type = "highpass";
-        this.nodes.highpass.frequency.value = HIGHPASS_CUTOFF;
 
         this.nodes.lowpass = this.audioContext.createBiquadFilter();
         this.nodes.lowpass.type = "lowpass";
-        this.nodes.lowpass.frequency.value = LOWPASS_CUTOFF;
 
         // Reverb
+        this.nodes.preDelay = this.audioContext.createDelay(1);
         this.nodes.convolver = this.audioContext.createConvolver();
-        this.nodes.convolver.buffer = this.makeImpulse(
-            this.audioContext, 
-            REVERB_DECAY_TIME, 
-            2.3, 
-            REVERB_DAMPING
-        );
-
+        this.nodes.convolver.buffer = this._buildImpulse();
         this.nodes.reverbWet = this.audioContext.createGain();
-        this.nodes.reverbWet.gain.value = REVERB_MIX;
-
         this.nodes.reverbDry = this.audioContext.createGain();
-        this.nodes.reverbDry.gain.value = 1 - REVERB_MIX;
+        this.nodes.reverbSum = this.audioContext.createGain();
 
         // Tube Effects
         this.nodes.tubeSaturator = this.audioContext.createWaveShaper();
-        this.nodes.tubeSaturator.curve = this.makeTubeSaturationCurve(TUBE_SATURATION);
-
         this.nodes.speakerDistortion = this.audioContext.createWaveShaper();
-        this.nodes.speakerDistortion.curve = this.makeSpeakerDistortionCurve(SPEAKER_DISTORTION);
 
         // Cabinet Effects
         this.nodes.cabinetResonator = this.audioContext.createBiquadFilter();
         this.nodes.cabinetResonator.type = "peaking";
-        this.nodes.cabinetResonator.frequency.value = CABINET_FREQUENCY;
-        this.nodes.cabinetResonator.Q.value = CABINET_Q;
-        this.nodes.cabinetResonator.gain.value = CABINET_GAIN;
+
+        // Output stage, dipped while stages are switched in or out
+        this.nodes.output = this.audioContext.createGain();
 
         this.isInitialized = true;
+        this.updateParameters();
+
+        if (this.config.reverbImpulse) {
+            this.loadImpulseResponse(this._impulseUrl(this.config.reverbImpulse));
+        }
     }
 
     // Connect audio through the cabinet effects
     connect(inputNode, outputNode) {
-        console.log('Cabinet connect called with:', { 
-            inputNode: !!inputNode, 
+        console.log('Cabinet connect called with:', {
+            inputNode: !!inputNode,
             outputNode: !!outputNode,
-            isInitialized: this.isInitialized 
+            isInitialized: this.isInitialized
         });
-        
+
         if (!this.isInitialized) {
             this.initialize();
         }
@@ -148,44 +226,44 @@ class RadioCabinet {
         let currentNode = inputNode;
 
         console.log('Applying cabinet effects:', {
-            highpass: ENABLE_HIGHPASS,
-            lowpass: ENABLE_LOWPASS,
-            reverb: ENABLE_REVERB,
-            tube: ENABLE_TUBE,
-            cabinet: ENABLE_CABINET
+            highpass: this.config.highpassEnabled,
+            lowpass: this.config.lowpassEnabled,
+            reverb: this.config.reverbEnabled,
+            tube: this.config.tubeEnabled,
+            cabinet: this.config.cabinetEnabled
         });
 
         // High-pass filter
-        if (ENABLE_HIGHPASS) {
+        if (this.config.highpassEnabled) {
             console.log('Connecting high-pass filter');
             currentNode.connect(this.nodes.highpass);
             currentNode = this.nodes.highpass;
         }
 
         // Low-pass filter
-        if (ENABLE_LOWPASS) {
+        if (this.config.lowpassEnabled) {
             console.log('Connecting low-pass filter');
             currentNode.connect(this.nodes.lowpass);
             currentNode = this.nodes.lowpass;
         }
 
         // Reverb
-        if (ENABLE_REVERB) {
+        if (this.config.reverbEnabled) {
             console.log('Connecting reverb');
             // Connect to both dry and wet paths
             currentNode.connect(this.nodes.reverbDry);
-            currentNode.connect(this.nodes.convolver);
+            currentNode.connect(this.nodes.preDelay);
+            this.nodes.preDelay.connect(this.nodes.convolver);
             this.nodes.convolver.connect(this.nodes.reverbWet);
 
             // Mix dry and wet
-            const reverbMix = this.audioContext.createGain();
-            this.nodes.reverbDry.connect(reverbMix);
-            this.nodes.reverbWet.connect(reverbMix);
-            currentNode = reverbMix;
+            this.nodes.reverbDry.connect(this.nodes.reverbSum);
+            this.nodes.reverbWet.connect(this.nodes.reverbSum);
+            currentNode = this.nodes.reverbSum;
         }
 
         // Tube Effects
-        if (ENABLE_TUBE) {
+        if (this.config.tubeEnabled) {
             console.log('Connecting tube effects');
             currentNode.connect(this.nodes.tubeSaturator);
             currentNode = this.nodes.tubeSaturator;
@@ -197,7 +275,7 @@ class RadioCabinet {
         currentNode = this.nodes.speakerDistortion;
 
         // Cabinet Effects
-        if (ENABLE_CABINET) {
+        if (this.config.cabinetEnabled) {
             console.log('Connecting cabinet effects');
             currentNode.connect(this.nodes.cabinetResonator);
             currentNode = this.nodes.cabinetResonator;
@@ -205,37 +283,225 @@ class RadioCabinet {
 
         // Connect to output
         console.log('Connecting to output');
-        currentNode.connect(outputNode);
+        currentNode.connect(this.nodes.output);
+        this.nodes.output.connect(outputNode);
+    }
+
+    // Set one parameter by name. Numbers are clamped to the parameter's range.
+    // Returns false (with a warning) for unknown names or values of the wrong type.
+    setParameter(name, value) {
+        const spec = CABINET_PARAMETERS[name];
+        if (!spec) {
+            console.warn(`Unknown cabinet parameter: ${name}`);
+            return false;
+        }
+        if (typeof value !== spec.type || (spec.type === 'number' && !Number.isFinite(value))) {
+            console.warn(`Cabinet parameter ${name} must be a ${spec.type}, got ${value}`);
+            return false;
+        }
+
+        const clamped = spec.type === 'number' ? Math.max(spec.min, Math.min(spec.max, value)) : value;
+        if (this.config[name] === clamped) return true;
+        this.config[name] = clamped;
+
+        if (this.isInitialized) {
+            this._applyParameter(name, spec);
+        }
+        return true;
+    }
+
+    getParameter(name) {
+        return this.config[name];
+    }
+
+    // Set several parameters at once, e.g. a receiver profile's cabinet settings
+    configure(settings = {}) {
+        for (const [name, value] of Object.entries(settings)) {
+            this.setParameter(name, value);
+        }
+    }
+
+    _applyParameter(name, spec) {
+        const now = this.audioContext.currentTime;
+        switch (spec.apply) {
+            case 'param':
+                this.nodes[spec.node][spec.param].setTargetAtTime(this.config[name], now, PARAMETER_RAMP_TIME);
+                break;
+            case 'mix':
+                this.nodes.reverbWet.gain.setTargetAtTime(this.config.reverbMix, now, PARAMETER_RAMP_TIME);
+                this.nodes.reverbDry.gain.setTargetAtTime(1 - this.config.reverbMix, now, PARAMETER_RAMP_TIME);
+                break;
+            case 'curve':
+                this.nodes.tubeSaturator.curve = this.makeTubeSaturationCurve(this.config.tubeSaturation);
+                this.nodes.speakerDistortion.curve = this.makeSpeakerDistortionCurve(this.config.speakerDistortion);
+                break;
+            case 'impulse':
+                // A measured impulse has its own room; these only shape the procedural one
+                if (!this.measuredImpulse) {
+                    this._replaceImpulse(() => this._buildImpulse());
+                }
+                break;
+            case 'file':
+                if (this.config.reverbImpulse) {
+                    this.loadImpulseResponse(this._impulseUrl(this.config.reverbImpulse));
+                } else {
+                    this.useProceduralImpulse();
+                }
+                break;
+            case 'graph':
+                this._reconnectSmoothly();
+                break;
+        }
     }
 
-    // Update parameters in real-time
+    // Load a measured impulse response: a URL, an ArrayBuffer of WAV data, or a File/Blob
+    // (e.g. dropped on the page). Falls back to the procedural impulse if it can't be
+    // loaded or decoded. Resolves to true when the measured impulse is in use.
+    async loadImpulseResponse(source) {
+        const request = ++this.impulseRequest;
+        const name = typeof source === 'string' ? source : (source && source.name) || 'impulse data';
+
+        this.impulseLoads++;
+        try {
+            let data;
+            if (typeof source === 'string') {
+                if (this.assetLoader) {
+                    data = await this.assetLoader.loadArrayBuffer(source);
+                } else {
+                    const response = await fetch(source);
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    data = await response.arrayBuffer();
+                }
+            } else if (source instanceof ArrayBuffer) {
+                data = source.slice(0); // decodeAudioData detaches its input
+            } else if (source && typeof source.arrayBuffer === 'function') {
+                data = await source.arrayBuffer();
+            } else {
+                throw new Error('expected a URL, ArrayBuffer or File');
+            }
+
+            const buffer = await this.audioContext.decodeAudioData(data);
+            if (request !== this.impulseRequest) return false; // superseded by a later load
+
+            this.measuredImpulse = buffer;
+            if (this.isInitialized) {
+                this._replaceImpulse(() => buffer);
+            }
+            console.log(`Impulse response loaded: ${name} (${buffer.duration.toFixed(2)}s)`);
+            return true;
+        } catch (error) {
+            if (request !== this.impulseRequest) return false;
+            console.warn(`Impulse response ${name} could not be loaded, using the procedural reverb:`, error.message || error);
+            this.useProceduralImpulse();
+            return false;
+        } finally {
+            this.impulseLoads--;
+            this._checkSettled();
+        }
+    }
+
+    // Go back to the generated impulse shaped by room size, decay time and damping
+    useProceduralImpulse() {
+        this.impulseRequest++; // a load still in flight must not replace it
+        this.measuredImpulse = null;
+        if (this.isInitialized) {
+            this._replaceImpulse(() => this._buildImpulse());
+        }
+    }
+
+    // reverbImpulse names a file in sounds/ unless it is already a path or URL
+    _impulseUrl(name) {
+        return /^([a-z]+:|\/|\.)/i.test(name) ? name : IMPULSE_BASE_URL + name;
+    }
+
+    // A convolver can't crossfade its own buffer, so fade the wet path out and back in around the swap
+    _replaceImpulse(buildBuffer) {
+        const now = this.audioContext.currentTime;
+        this.nodes.reverbWet.gain.setTargetAtTime(0, now, PARAMETER_RAMP_TIME / 2);
+
+        clearTimeout(this.impulseTimeout);
+        this.impulseTimeout = setTimeout(() => {
+            this.impulseTimeout = null;
+            this.nodes.convolver.buffer = buildBuffer();
+            this.nodes.reverbWet.gain.setTargetAtTime(this.config.reverbMix, this.audioContext.currentTime, PARAMETER_RAMP_TIME);
+            this._checkSettled();
+        }, IMPULSE_FADE_MS);
+    }
+
+    // Dip the output, rewire with the current stages, then bring it back up
+    _reconnectSmoothly() {
+        if (!this.currentInput || !this.currentOutput) return;
+
+        const output = this.nodes.output.gain;
+        output.setTargetAtTime(0, this.audioContext.currentTime, SWITCH_FADE_TIME);
+
+        clearTimeout(this.switchTimeout);
+        this.switchTimeout = setTimeout(() => {
+            this.switchTimeout = null;
+            this.reconnect();
+            output.setTargetAtTime(1, this.audioContext.currentTime, SWITCH_FADE_TIME);
+            this._checkSettled();
+        }, SWITCH_DELAY_MS);
+    }
+
+    // Resolves once impulse loads, impulse swaps and stage switches in progress are done,
+    // e.g. before an offline render so they don't land part way through it
+    whenSettled() {
+        if (this._isSettled()) return Promise.resolve();
+        return new Promise(resolve => this.settleWaiters.push(resolve));
+    }
+
+    _isSettled() {
+        return this.impulseLoads === 0 && this.impulseTimeout === null && this.switchTimeout === null;
+    }
+
+    _checkSettled() {
+        if (!this._isSettled()) return;
+        const waiters = this.settleWaiters;
+        this.settleWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    // Apply every parameter to the nodes immediately (no ramps)
     updateParameters() {
         if (!this.isInitialized) return;
 
         // Update tube saturation
-        this.nodes.tubeSaturator.curve = this.makeTubeSaturationCurve(TUBE_SATURATION);
+        this.nodes.tubeSaturator.curve = this.makeTubeSaturationCurve(this.config.tubeSaturation);
 
         // Update speaker distortion
-        this.nodes.speakerDistortion.curve = this.makeSpeakerDistortionCurve(SPEAKER_DISTORTION);
+        this.nodes.speakerDistortion.curve = this.makeSpeakerDistortionCurve(this.config.speakerDistortion);
 
         // Update cabinet parameters
-        this.nodes.cabinetResonator.frequency.value = CABINET_FREQUENCY;
-        this.nodes.cabinetResonator.Q.value = CABINET_Q;
-        this.nodes.cabinetResonator.gain.value = CABINET_GAIN;
+        this.nodes.cabinetResonator.frequency.value = this.config.cabinetFrequency;
+        this.nodes.cabinetResonator.Q.value = this.config.cabinetQ;
+        this.nodes.cabinetResonator.gain.value = this.config.cabinetGain;
 
         // Update filter frequencies
-        this.nodes.highpass.frequency.value = HIGHPASS_CUTOFF;
-        this.nodes.lowpass.frequency.value = LOWPASS_CUTOFF;
+        this.nodes.highpass.frequency.value = this.config.highpassCutoff;
+        this.nodes.lowpass.frequency.value = this.config.lowpassCutoff;
 
         // Update reverb parameters
-        this.nodes.reverbWet.gain.value = REVERB_MIX;
-        this.nodes.reverbDry.gain.value = 1 - REVERB_MIX;
+        this.nodes.reverbWet.gain.value = this.config.reverbMix;
+        this.nodes.reverbDry.gain.value = 1 - this.config.reverbMix;
+        this.nodes.preDelay.delayTime.value = this.config.reverbPreDelay;
     }
 
     // Disconnect all nodes
     disconnect() {
         if (!this.isInitialized) return;
 
+        // The input feeds the first enabled stage; detach it before rewiring
+        if (this.currentInput) {
+            for (const node of Object.values(this.nodes)) {
+                try {
+                    this.currentInput.disconnect(node);
+                } catch (error) {
+                    // not connected to this stage
+                }
+            }
+        }
+
         Object.values(this.nodes).forEach(node => {
             if (node && typeof node.disconnect === 'function') {
                 node.disconnect();
@@ -245,42 +511,37 @@ class RadioCabinet {
 
     // Toggle methods for debug panel
     updateHighpassEnabled(enabled) {
-        ENABLE_HIGHPASS = enabled;
+        this.setParameter('highpassEnabled', enabled);
         console.log('High-pass filter:', enabled ? 'enabled' : 'disabled');
-        this.reconnect();
     }
 
     updateLowpassEnabled(enabled) {
-        ENABLE_LOWPASS = enabled;
+        this.setParameter('lowpassEnabled', enabled);
         console.log('Low-pass filter:', enabled ? 'enabled' : 'disabled');
-        this.reconnect();
     }
 
     updateReverbEnabled(enabled) {
-        ENABLE_REVERB = enabled;
+        this.setParameter('reverbEnabled', enabled);
         console.log('Reverb:', enabled ? 'enabled' : 'disabled');
-        this.reconnect();
     }
 
     updateTubeEnabled(enabled) {
-        ENABLE_TUBE = enabled;
+        this.setParameter('tubeEnabled', enabled);
         console.log('Tube effects:', enabled ? 'enabled' : 'disabled');
-        this.reconnect();
     }
 
     updateCabinetEnabled(enabled) {
-        ENABLE_CABINET = enabled;
+        this.setParameter('cabinetEnabled', enabled);
         console.log('Cabinet effects:', enabled ? 'enabled' : 'disabled');
-        this.reconnect();
     }
 
     // Reconnect audio with current settings
     reconnect() {
         if (!this.isInitialized || !this.currentInput || !this.currentOutput) return;
-        
+
         // Disconnect current connections
         this.disconnect();
-        
+
         // Reconnect with new settings
         this.connect(this.currentInput, this.currentOutput);
     }
@@ -290,16 +551,29 @@ class RadioCabinet {
         if (!this.isInitialized) {
             this.initialize();
         }
-        
+
         // Disconnect current connections
+        this.currentInput = masterBus;
         this.disconnect();
-        
+
         // Reconnect master bus through cabinet
         this.connect(masterBus, destination);
         console.log('Master bus reconnected through cabinet effects');
     }
 }
 
+// Typed accessors for every parameter: setHighpassCutoff(hz) / getHighpassCutoff(),
+// setReverbEnabled(bool) / getReverbEnabled(), and so on
+for (const name of Object.keys(CABINET_PARAMETERS)) {
+    const suffix = name.charAt(0).toUpperCase() + name.slice(1);
+    RadioCabinet.prototype[`set${suffix}`] = function(value) {
+        return this.setParameter(name, value);
+    };
+    RadioCabinet.prototype[`get${suffix}`] = function() {
+        return this.getParameter(name);
+    };
+}
+
 // Export for use in main simulator
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = RadioCabinet;
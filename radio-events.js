@@ -0,0 +1,102 @@
+// Radio Events
+// Event bus shared by the controller, UI, audio engine and message system. Components
+// publish what happens to the listener; anything else (logbook, captions, visualisers)
+// subscribes without the publisher knowing. Event types are fixed: subscribing to or
+// emitting a type not in RADIO_EVENTS throws, so a typo fails loudly instead of silently
+// never firing.
+//
+//   const events = new RadioEventBus();
+//   const unsubscribe = events.on(RADIO_EVENTS.STATION_ENTERED, ({ station }) => ...);
+//   events.emit(RADIO_EVENTS.STATION_ENTERED, { station });
+//
+// RadioAudio takes the bus as its `events` option (anything with emit() will do).
+
+// ===== EVENT TYPES =====
+
+// Event type -> detail
+const RADIO_EVENTS = Object.freeze({
+    DIAL_CHANGED: 'dial-changed',             // { position } turned by the listener
+    BAND_CHANGED: 'band-changed',             // { band } band ID
+    PROFILE_CHANGED: 'profile-changed',       // { profile } receiver profile ID
+    LOCATION_CHANGED: 'location-changed',     // { location } listener location ID, or null
+    STATION_ENTERED: 'station-entered',       // { station } the dial moved onto a transmitting station
+    STATION_LEFT: 'station-left',             // { station } off it again, or the set was switched off
+    STATION_DISCOVERED: 'station-discovered', // { station } never heard before (here or in the logbook)
+    POWER_ON: 'power-on',                     // {}
+    POWER_OFF: 'power-off',                   // {}
+    LOADING_PROGRESS: 'loading-progress',     // { percent } station tracks created, 0-100
+    READY: 'ready',                           // {} stations, noise and profiles loaded
+    TRACK_ERROR: 'track-error',               // { stationId, src, error } a programme failed to load or play
+    LOGBOOK_UPDATED: 'logbook-updated',       // { stationId } entry changed (null: log cleared)
+    GAME_ROUND: 'game-round',                 // { round, score } a game round starts (radio-game.js)
+    GAME_ANSWER: 'game-answer',               // { result, score } the round was answered
+    GAME_OVER: 'game-over',                   // { results } the last round is done
+    SCAN_STATE: 'scan-state',                 // { mode, direction, dwelling, position, found } seek/scan/glide (radio-scanner.js)
+    PRESETS_UPDATED: 'presets-updated'        // { presets, index } slot stored or cleared (index null: all imported)
+});
+
+const RADIO_EVENT_TYPES = new Set(Object.values(RADIO_EVENTS));
+
+// ===== EVENT BUS CLASS =====
+
+class RadioEventBus {
+    constructor() {
+        this.listeners = new Map(); // type -> Set of listener functions
+    }
+
+    static checkType(type) {
+        if (!RADIO_EVENT_TYPES.has(type)) {
+            throw new Error(`Unknown radio event: ${type}`);
+        }
+    }
+
+    // Subscribe; returns a function that unsubscribes
+    on(type, listener) {
+        RadioEventBus.checkType(type);
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    // Subscribe for the next event only
+    once(type, listener) {
+        const unsubscribe = this.on(type, (detail) => {
+            unsubscribe();
+            listener(detail);
+        });
+        return unsubscribe;
+    }
+
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    // Call every listener for the type; one failing listener doesn't stop the others
+    emit(type, detail = {}) {
+        RadioEventBus.checkType(type);
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+
+        // Copy, so listeners can unsubscribe while being called
+        for (const listener of [...listeners]) {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Listener for ${type} failed:`, error);
+            }
+        }
+    }
+}
+
+// Export for use in main simulator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RadioEventBus, RADIO_EVENTS };
+} else if (typeof window !== 'undefined') {
+    window.RadioEventBus = RadioEventBus;
+    window.RADIO_EVENTS = RADIO_EVENTS;
+}
@@ -0,0 +1,171 @@
+// Radio Fading
+// Ionospheric fading (QSB): every station passes through a fade stage whose gain swells
+// and sinks over seconds to minutes, independently of the dial. Distant stations can
+// also get selective fading, a slowly wandering notch that makes them sound "watery"
+// rather than just quieter.
+
+// ===== CONFIGURATION VARIABLES =====
+
+const FADING_UPDATE_MS = 100; // control-rate update interval
+const FADING_SMOOTHING = 0.15; // setTargetAtTime constant (seconds)
+const FADING_DEFAULT_RATE = 0.05; // Hz: one swell every ~20 seconds
+const FADING_DEFAULT_RANDOMNESS = 0.5; // 0 = regular sine swell, 1 = pure random walk
+const SELECTIVE_DEPTH_THRESHOLD = 0.4; // auto-enable selective fading at this depth
+const SELECTIVE_MIN_FREQ = 300; // Hz, range the notch wanders over
+const SELECTIVE_MAX_FREQ = 3000;
+const SELECTIVE_MAX_CUT_DB = 24;
+const SELECTIVE_Q = 2.5;
+
+// ===== FADING CLASS =====
+
+class RadioFading {
+    constructor(audioContext, random = Math.random) {
+        this.audioContext = audioContext;
+        this.random = random;
+        this.fadingEnabled = true;
+        this.channels = new Map(); // stationId -> channel
+        this.updateInterval = null;
+        this.lastUpdateTime = null;
+    }
+
+    // Route a station through its fade stage: source -> [selective notch] -> fadeGain -> destination
+    attach(stationId, sourceNode, destination) {
+        const fadeGain = this.audioContext.createGain();
+        fadeGain.gain.value = 1;
+
+        const notch = this.audioContext.createBiquadFilter();
+        notch.type = 'peaking';
+        notch.Q.value = SELECTIVE_Q;
+        notch.frequency.value = SELECTIVE_MIN_FREQ;
+        notch.gain.value = 0;
+
+        sourceNode.connect(notch);
+        notch.connect(fadeGain);
+        fadeGain.connect(destination);
+
+        const channel = {
+            stationId,
+            fadeGain,
+            notch,
+            depth: 0,
+            rate: FADING_DEFAULT_RATE,
+            randomness: FADING_DEFAULT_RANDOMNESS,
+            selective: false,
+            phase: this.random() * Math.PI * 2,
+            // Smoothed random walk, interpolated between successive random targets
+            walkFrom: this.random() * 2 - 1,
+            walkTo: this.random() * 2 - 1,
+            walkProgress: 0,
+            notchPhase: this.random(),
+            level: 1
+        };
+        this.channels.set(stationId, channel);
+        return channel;
+    }
+
+    // Set a station's fading: { depth, rate, randomness, selective }
+    configure(stationId, params) {
+        const channel = this.channels.get(stationId);
+        if (!channel) return;
+
+        if (params.depth !== undefined) channel.depth = Math.max(0, Math.min(1, params.depth));
+        if (params.rate !== undefined) channel.rate = Math.max(0.001, params.rate);
+        if (params.randomness !== undefined) channel.randomness = Math.max(0, Math.min(1, params.randomness));
+        if (params.selective !== undefined) {
+            channel.selective = params.selective === 'auto'
+                ? channel.depth >= SELECTIVE_DEPTH_THRESHOLD
+                : !!params.selective;
+        }
+
+        if (!channel.selective) {
+            channel.notch.gain.setTargetAtTime(0, this.audioContext.currentTime, FADING_SMOOTHING);
+        }
+    }
+
+    start() {
+        if (this.updateInterval) return;
+        this.lastUpdateTime = null;
+        this.updateInterval = setInterval(() => this.update(), FADING_UPDATE_MS);
+        console.log('Fading engine started');
+    }
+
+    stop() {
+        if (this.updateInterval) {
+            clearInterval(this.updateInterval);
+            this.updateInterval = null;
+        }
+    }
+
+    // Advance every channel to the given context time (defaults to now)
+    update(time = this.audioContext.currentTime) {
+        const dt = this.lastUpdateTime === null ? 0 : Math.max(0, time - this.lastUpdateTime);
+        this.lastUpdateTime = time;
+
+        for (const channel of this.channels.values()) {
+            this._advance(channel, dt);
+
+            const depth = this.fadingEnabled ? channel.depth : 0;
+            channel.level = 1 - depth * this._fadeShape(channel, time);
+            channel.fadeGain.gain.setTargetAtTime(channel.level, time, FADING_SMOOTHING);
+
+            if (channel.selective && this.fadingEnabled) {
+                // Notch sweeps up and down the audio band while its depth follows the fade
+                const sweep = 0.5 - 0.5 * Math.cos(channel.notchPhase * Math.PI * 2);
+                const frequency = SELECTIVE_MIN_FREQ * Math.pow(SELECTIVE_MAX_FREQ / SELECTIVE_MIN_FREQ, sweep);
+                const cut = -SELECTIVE_MAX_CUT_DB * channel.depth * (0.5 + 0.5 * (1 - channel.level));
+                channel.notch.frequency.setTargetAtTime(frequency, time, FADING_SMOOTHING);
+                channel.notch.gain.setTargetAtTime(cut, time, FADING_SMOOTHING);
+            }
+        }
+    }
+
+    _advance(channel, dt) {
+        channel.walkProgress += dt * channel.rate;
+        while (channel.walkProgress >= 1) {
+            channel.walkProgress -= 1;
+            channel.walkFrom = channel.walkTo;
+            channel.walkTo = this.random() * 2 - 1;
+        }
+        // The notch drifts a little faster than the fade itself
+        channel.notchPhase = (channel.notchPhase + dt * channel.rate * 1.7) % 1;
+    }
+
+    // 0 (full signal) .. 1 (deepest fade)
+    _fadeShape(channel, time) {
+        const sine = Math.sin(channel.phase + time * channel.rate * Math.PI * 2);
+        const t = channel.walkProgress;
+        const eased = (1 - Math.cos(t * Math.PI)) / 2;
+        const walk = channel.walkFrom + (channel.walkTo - channel.walkFrom) * eased;
+        const signal = (1 - channel.randomness) * sine + channel.randomness * walk;
+        return 0.5 + 0.5 * signal;
+    }
+
+    // Current fade level (1 = no fade) for a station
+    getLevel(stationId) {
+        const channel = this.channels.get(stationId);
+        return channel ? channel.level : 1;
+    }
+
+    setFadingEnabled(enabled) {
+        this.fadingEnabled = enabled;
+        if (!enabled) {
+            const now = this.audioContext.currentTime;
+            for (const channel of this.channels.values()) {
+                channel.level = 1;
+                channel.fadeGain.gain.setTargetAtTime(1, now, FADING_SMOOTHING);
+                channel.notch.gain.setTargetAtTime(0, now, FADING_SMOOTHING);
+            }
+        }
+    }
+
+    getFadingEnabled() {
+        return this.fadingEnabled;
+    }
+}
+
+// Export for use in main simulator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RadioFading;
+} else if (typeof window !== 'undefined') {
+    window.RadioFading = RadioFading;
+}
@@ -0,0 +1,228 @@
+// Radio Game
+// "Which Station Was That?": each round puts the dial near a station the listener isn't
+// told about, and they tune in and pick it from a few titles and descriptions taken from
+// stations.yaml. Harder difficulties start further off, weaken every signal and raise
+// the noise (RadioAudio.setReceptionHandicap), and offer more choices.
+// The game drives only the audio engine (band and handicap); it publishes its progress
+// on the event bus and the controller moves the dial and shows the panels.
+//
+//   game.start({ difficulty: 'medium', rounds: 5 });  // 'game-round' { round }
+//   game.answer(stationId);                           // 'game-answer' { result }
+//   game.next();                                      // next 'game-round', or 'game-over' { results }
+
+// ===== CONFIGURATION VARIABLES =====
+
+// dialOffset: degrees between the station and where the dial starts
+// strength, noise: reception handicap multipliers
+const GAME_DIFFICULTIES = {
+    easy: { name: 'Easy', dialOffset: 3, strength: 1, noise: 1, choices: 3, points: 50 },
+    medium: { name: 'Medium', dialOffset: 8, strength: 0.6, noise: 1.5, choices: 4, points: 100 },
+    hard: { name: 'Hard', dialOffset: 15, strength: 0.35, noise: 2.5, choices: 5, points: 150 }
+};
+const GAME_DEFAULT_ROUNDS = 5;
+const GAME_TIME_BONUS_MS = 60000; // answers within this earn up to half the round's points again
+
+// ===== GAME CLASS =====
+
+class RadioGame {
+    // options: random (default Math.random), now () => ms timestamp (default Date.now)
+    constructor(audio, events, options = {}) {
+        this.audio = audio;
+        this.events = events;
+        this.random = options.random || Math.random;
+        this.now = options.now || (() => Date.now());
+
+        this.active = false;
+        this.difficultyId = null;
+        this.rounds = []; // { number, station, choices, band, startPosition, startedAt, result }
+        this.roundIndex = -1;
+        this.score = 0;
+        this.previousBand = null; // restored when the game ends
+    }
+
+    static getDifficulties() {
+        return Object.entries(GAME_DIFFICULTIES).map(([id, difficulty]) => ({ id, name: difficulty.name }));
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    getScore() {
+        return this.score;
+    }
+
+    getDifficulty() {
+        return GAME_DIFFICULTIES[this.difficultyId] || null;
+    }
+
+    // Start a new game; returns false if there are no stations on air to ask about
+    start({ difficulty = 'medium', rounds = GAME_DEFAULT_ROUNDS } = {}) {
+        const settings = GAME_DIFFICULTIES[difficulty];
+        if (!settings) {
+            console.warn(`Unknown game difficulty: ${difficulty}`);
+            return false;
+        }
+
+        // Only stations with a programme on can be identified
+        const candidates = this.audio.getTransmittingStations()
+            .filter(station => this.audio.getStationStatus(station.id) === 'on-air');
+        if (candidates.length < 2) {
+            console.warn('Not enough stations on air for a game');
+            return false;
+        }
+
+        if (this.active) {
+            this.stop();
+        }
+
+        this.active = true;
+        this.difficultyId = difficulty;
+        this.score = 0;
+        this.previousBand = this.audio.getBand();
+        this.rounds = this._shuffle(candidates)
+            .slice(0, Math.max(1, Math.min(rounds, candidates.length)))
+            .map((station, index) => this._createRound(index + 1, station, settings));
+        this.roundIndex = -1;
+
+        this.audio.setReceptionHandicap({ strength: settings.strength, noise: settings.noise });
+        console.log(`Game started: ${settings.name}, ${this.rounds.length} rounds`);
+        this.next();
+        return true;
+    }
+
+    _createRound(number, station, settings) {
+        const others = this._shuffle(this.audio.stations.filter(other => other.id !== station.id))
+            .slice(0, settings.choices - 1);
+        const choices = this._shuffle([station, ...others]).map(choice => ({
+            id: choice.id,
+            title: choice.title,
+            description: choice.description
+        }));
+
+        // Start a random side of the station, clear of the dial's ends
+        const side = this.random() < 0.5 ? -1 : 1;
+        const offset = settings.dialOffset * (0.5 + this.random() * 0.5);
+        let startPosition = station.position + side * offset;
+        if (startPosition < 0 || startPosition > 180) {
+            startPosition = station.position - side * offset;
+        }
+        startPosition = Math.max(0, Math.min(180, startPosition));
+
+        return {
+            number,
+            station,
+            choices,
+            band: station.band,
+            startPosition,
+            startedAt: null,
+            result: null
+        };
+    }
+
+    // The round being played (or just answered), without the answer
+    getRound() {
+        const round = this.rounds[this.roundIndex];
+        if (!round) return null;
+        return {
+            number: round.number,
+            total: this.rounds.length,
+            choices: round.choices,
+            band: round.band,
+            startPosition: round.startPosition,
+            answered: !!round.result
+        };
+    }
+
+    // Check an answer for the current round; returns the result, or null if there's nothing to answer
+    answer(stationId) {
+        const round = this.rounds[this.roundIndex];
+        if (!this.active || !round || round.result) return null;
+
+        const settings = this.getDifficulty();
+        const correct = stationId === round.station.id;
+        const elapsedMs = this.now() - round.startedAt;
+        const bonus = correct
+            ? Math.round(settings.points / 2 * Math.max(0, 1 - elapsedMs / GAME_TIME_BONUS_MS))
+            : 0;
+        const points = correct ? settings.points + bonus : 0;
+        this.score += points;
+
+        const chosen = this.audio.stations.find(station => station.id === stationId) || null;
+        round.result = { number: round.number, correct, points, elapsedMs, station: round.station, chosen };
+        console.log(`Game round ${round.number}: ${correct ? 'correct' : 'wrong'} (${round.station.title}), ${points} points`);
+
+        this.events.emit(RADIO_EVENTS.GAME_ANSWER, { result: round.result, score: this.score });
+        return round.result;
+    }
+
+    // Move on to the next round, or finish; returns the next round or null at the end
+    next() {
+        if (!this.active) return null;
+
+        this.roundIndex++;
+        const round = this.rounds[this.roundIndex];
+        if (!round) {
+            this._finish();
+            return null;
+        }
+
+        this.audio.setBand(round.band);
+        round.startedAt = this.now();
+        this.events.emit(RADIO_EVENTS.GAME_ROUND, { round: this.getRound(), score: this.score });
+        return this.getRound();
+    }
+
+    getResults() {
+        const settings = this.getDifficulty();
+        const rounds = this.rounds.filter(round => round.result).map(round => round.result);
+        return {
+            difficulty: this.difficultyId,
+            difficultyName: settings ? settings.name : null,
+            score: this.score,
+            maxScore: settings ? this.rounds.length * Math.round(settings.points * 1.5) : 0,
+            correct: rounds.filter(result => result.correct).length,
+            total: this.rounds.length,
+            rounds
+        };
+    }
+
+    _finish() {
+        const results = this.getResults();
+        this._restore();
+        console.log(`Game over: ${results.correct}/${results.total} correct, ${results.score} points`);
+        this.events.emit(RADIO_EVENTS.GAME_OVER, { results });
+    }
+
+    // Abandon the game, putting reception and band back as they were
+    stop() {
+        if (!this.active) return;
+        this._restore();
+        console.log('Game stopped');
+    }
+
+    _restore() {
+        this.active = false;
+        this.audio.setReceptionHandicap({});
+        if (this.previousBand) {
+            this.audio.setBand(this.previousBand);
+        }
+    }
+
+    // Fisher-Yates on a copy
+    _shuffle(items) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+}
+
+// Export for use in main simulator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RadioGame;
+} else if (typeof window !== 'undefined') {
+    window.RadioGame = RadioGame;
+}
@@ -0,0 +1,89 @@
+// Radio Links
+// Shareable links to what the radio is tuned to. The page URL carries the dial position,
+// band, receiver profile, listener location and station dataset as query parameters
+// (the hash is read too, for links that can't have a query):
+//
+//   index.html?dial=95.3&band=mw&profile=superhet&location=london
+//   index.html?station=daventry-5xx          the station's own band and dial position
+//   index.html?dataset=stations-1930         loads stations-1930.yaml instead of stations.yaml
+//
+// The dataset is needed before the stations load; the rest is applied when the listener
+// presses Tune In. Unknown values are ignored by the audio engine with a console warning.
+
+// ===== CONFIGURATION VARIABLES =====
+
+const LINK_PARAMETERS = ['station', 'dial', 'band', 'profile', 'location', 'dataset'];
+const LINK_DEFAULT_DATASET = 'stations';
+const LINK_DATASET_PATTERN = /^[A-Za-z0-9_-]+$/; // a file next to stations.yaml, nothing else
+
+// ===== LINKS CLASS =====
+
+class RadioLinks {
+    // State from a URL: { station, dial, band, profile, location, dataset }, each only if given
+    static parse(url) {
+        const parsed = new URL(url);
+        const hash = new URLSearchParams(parsed.hash.replace(/^#/, ''));
+        const state = {};
+
+        for (const name of LINK_PARAMETERS) {
+            const value = parsed.searchParams.has(name) ? parsed.searchParams.get(name) : hash.get(name);
+            if (value === null || value === '') continue;
+
+            switch (name) {
+                case 'dial': {
+                    const dial = parseFloat(value);
+                    if (Number.isFinite(dial) && dial >= 0 && dial <= 180) {
+                        state.dial = dial;
+                    } else {
+                        console.warn(`Link: dial should be 0-180, not ${value}`);
+                    }
+                    break;
+                }
+                case 'dataset':
+                    if (LINK_DATASET_PATTERN.test(value)) {
+                        state.dataset = value;
+                    } else {
+                        console.warn(`Link: ignoring dataset ${value}`);
+                    }
+                    break;
+                default:
+                    state[name] = value;
+            }
+        }
+        return state;
+    }
+
+    // The stations file a dataset name refers to
+    static datasetFile(dataset) {
+        return `${dataset || LINK_DEFAULT_DATASET}.yaml`;
+    }
+
+    // URL for a state, keeping the rest of baseUrl; the default dataset is left out
+    static build(baseUrl, state) {
+        const url = new URL(baseUrl);
+        url.hash = '';
+        for (const name of LINK_PARAMETERS) {
+            url.searchParams.delete(name);
+        }
+
+        if (state.dial !== undefined && state.dial !== null) {
+            url.searchParams.set('dial', (Math.round(state.dial * 10) / 10).toString());
+        }
+        for (const name of ['band', 'profile', 'location']) {
+            if (state[name]) {
+                url.searchParams.set(name, state[name]);
+            }
+        }
+        if (state.dataset && state.dataset !== LINK_DEFAULT_DATASET) {
+            url.searchParams.set('dataset', state.dataset);
+        }
+        return url.toString();
+    }
+}
+
+// Export for use in main simulator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RadioLinks;
+} else if (typeof window !== 'undefined') {
+    window.RadioLinks = RadioLinks;
+}
@@ -0,0 +1,207 @@
+// Radio Logbook
+// The listener's log of stations heard, kept in localStorage so discoveries survive a
+// reload. Listens on the event bus (radio-events.js): a station entering the passband
+// starts a listening session and leaving it ends one. Per station it keeps:
+//   firstHeard, lastHeard   ms timestamps (firstHeard is when it was discovered)
+//   listeningMs             total time spent tuned to it
+//   bestStrength            strongest signal it was heard at, 0-1
+// Entries are keyed by station ID and also keep the title, so the log still reads
+// sensibly if stations.yaml changes. Emits 'logbook-updated' when an entry changes.
+
+// ===== CONFIGURATION VARIABLES =====
+
+const LOGBOOK_STORAGE_KEY = 'etherocean-logbook';
+const LOGBOOK_VERSION = 1;
+
+// ===== LOGBOOK CLASS =====
+
+class RadioLogbook {
+    // options:
+    //   storage            { getItem, setItem, removeItem } (default: localStorage when available)
+    //   now                () => ms timestamp (default: Date.now)
+    //   getSignalStrength  (station) => 0-1 strength at the current dial position
+    constructor(events, options = {}) {
+        this.events = events;
+        this.storage = options.storage !== undefined ? options.storage : RadioLogbook.defaultStorage();
+        this.now = options.now || (() => Date.now());
+        this.getSignalStrength = options.getSignalStrength || null;
+
+        this.entries = new Map(); // station ID -> entry
+        this.session = null; // { station, since } while tuned to a station
+
+        this.load();
+        this.subscribeToEvents();
+    }
+
+    static defaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null; // storage blocked (e.g. cookies disabled)
+        }
+    }
+
+    subscribeToEvents() {
+        this.events.on(RADIO_EVENTS.STATION_ENTERED, ({ station }) => this.startSession(station));
+        this.events.on(RADIO_EVENTS.STATION_LEFT, () => this.endSession());
+        this.events.on(RADIO_EVENTS.DIAL_CHANGED, () => {
+            if (this.session) {
+                this.recordSignal(this.session.station);
+            }
+        });
+    }
+
+    // ===== LISTENING SESSIONS =====
+
+    startSession(station) {
+        this.endSession();
+
+        const time = this.now();
+        const entry = this._getOrCreateEntry(station, time);
+        entry.lastHeard = time;
+        this.session = { station, since: time };
+        this.recordSignal(station, false);
+        this._changed(station.id);
+    }
+
+    endSession() {
+        if (!this.session) return;
+        this.flush();
+        this.session = null;
+    }
+
+    // Add the open session's time so far, e.g. before the page is closed
+    flush() {
+        if (!this.session) return;
+
+        const time = this.now();
+        const entry = this.entries.get(this.session.station.id);
+        entry.listeningMs += Math.max(0, time - this.session.since);
+        entry.lastHeard = time;
+        this.session.since = time;
+        this._changed(entry.stationId);
+    }
+
+    recordSignal(station, notify = true) {
+        if (!this.getSignalStrength) return;
+        const entry = this.entries.get(station.id);
+        if (!entry) return;
+
+        const strength = this.getSignalStrength(station);
+        if (strength > entry.bestStrength) {
+            entry.bestStrength = Math.round(strength * 1000) / 1000;
+            if (notify) {
+                this._changed(station.id);
+            }
+        }
+    }
+
+    _getOrCreateEntry(station, time) {
+        let entry = this.entries.get(station.id);
+        if (!entry) {
+            entry = {
+                stationId: station.id,
+                title: station.title,
+                firstHeard: time,
+                lastHeard: time,
+                listeningMs: 0,
+                bestStrength: 0
+            };
+            this.entries.set(station.id, entry);
+            console.log(`Logbook: ${station.title} entered`);
+        }
+        entry.title = station.title;
+        return entry;
+    }
+
+    _changed(stationId) {
+        this.save();
+        this.events.emit(RADIO_EVENTS.LOGBOOK_UPDATED, { stationId });
+    }
+
+    // ===== QUERIES =====
+
+    getEntry(stationId) {
+        return this.entries.get(stationId) || null;
+    }
+
+    // Entries in order of discovery
+    getEntries() {
+        return [...this.entries.values()].sort((a, b) => a.firstHeard - b.firstHeard);
+    }
+
+    getDiscoveredIds() {
+        return [...this.entries.keys()];
+    }
+
+    hasDiscovered(stationId) {
+        return this.entries.has(stationId);
+    }
+
+    // ===== PERSISTENCE =====
+
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const text = this.storage.getItem(LOGBOOK_STORAGE_KEY);
+            if (!text) return;
+
+            const data = JSON.parse(text);
+            if (data.version !== LOGBOOK_VERSION || !Array.isArray(data.entries)) {
+                console.warn(`Logbook: ignoring stored log (version ${data.version})`);
+                return;
+            }
+            for (const entry of data.entries) {
+                if (entry && typeof entry.stationId === 'string') {
+                    this.entries.set(entry.stationId, {
+                        stationId: entry.stationId,
+                        title: String(entry.title || entry.stationId),
+                        firstHeard: Number(entry.firstHeard) || 0,
+                        lastHeard: Number(entry.lastHeard) || 0,
+                        listeningMs: Number(entry.listeningMs) || 0,
+                        bestStrength: Number(entry.bestStrength) || 0
+                    });
+                }
+            }
+            console.log(`Logbook: ${this.entries.size} stations loaded`);
+        } catch (error) {
+            console.warn('Logbook: could not read stored log:', error);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(LOGBOOK_STORAGE_KEY, JSON.stringify({
+                version: LOGBOOK_VERSION,
+                entries: this.getEntries()
+            }));
+        } catch (error) {
+            console.warn('Logbook: could not save:', error);
+        }
+    }
+
+    // Forget every station (the engine keeps this session's discoveries until reload)
+    clear() {
+        this.entries.clear();
+        this.session = null;
+        if (this.storage) {
+            try {
+                this.storage.removeItem(LOGBOOK_STORAGE_KEY);
+            } catch (error) {
+                console.warn('Logbook: could not clear:', error);
+            }
+        }
+        this.events.emit(RADIO_EVENTS.LOGBOOK_UPDATED, { stationId: null });
+        console.log('Logbook cleared');
+    }
+}
+
+// Export for use in main simulator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RadioLogbook;
+} else if (typeof window !== 'undefined') {
+    window.RadioLogbook = RadioLogbook;
+}
@@ -2,28 +2,120 @@ class RadioController {
     constructor() {
         console.log('RadioController constructor called');
         
+        // Components talk through the event bus; anything else can subscribe to it too
+        this.events = new RadioEventBus();
+        
+        // State from a shared link: the dataset now, the rest once the listener tunes in
+        this.linkState = RadioLinks.parse(window.location.href);
+        this.linkUpdates = false; // the URL follows the radio once the link has been applied
+        this.missingDataset = null; // a linked dataset that couldn't be loaded (stations.yaml played instead)
+        this.linkTimeout = null;
+        
         // Initialize UI and Audio systems
-        this.ui = new RadioUI();
-        this.audio = new RadioAudio();
-        this.messages = new MessageSystem();
+        this.ui = new RadioUI(this.events);
+        this.audio = new RadioAudio({
+            events: this.events,
+            stationsFile: RadioLinks.datasetFile(this.linkState.dataset)
+        });
+        this.messages = new MessageSystem(this.events, {
+            discoveryDelayMs: this.ui.discoveryAnimationMs, // once the pointer has finished brightening
+            announceDiscoveries: () => !this.game.isActive() // mid-game it gives the answer away
+        });
+        this.game = new RadioGame(this.audio, this.events);
+        this.scanner = new RadioScanner(this.audio, this.ui, this.events);
+        this.presets = new RadioPresets(this.events);
+        this.tuningIndicator = new RadioTuningIndicator(this.audio, document.getElementById('magicEye'), this.events);
         
-        // Connect UI changes to audio system
-        this.ui.setDialChangeCallback((dialPosition) => {
-            this.audio.onDialPositionChange(dialPosition);
+        // Stations heard on earlier visits stay discovered
+        this.logbook = new RadioLogbook(this.events, {
+            getSignalStrength: (station) => this.audio.calculateStationVolume(station, this.audio.dialPosition)
         });
+        this.audio.setDiscoveredStations(this.logbook.getDiscoveredIds());
         
-        // Set up initialization callback
-        this.audio.setInitializationCallback(() => {
-            console.log('=== Audio initialization callback triggered ===');
-            console.log('Audio context state:', this.audio.audioContext ? this.audio.audioContext.state : 'No audio context');
-            console.log('Station tracks count:', this.audio.stationTracks ? this.audio.stationTracks.size : 'No station tracks');
-            console.log('About to call showStartButton()');
-            this.showStartButton();
+        // Session recorder, created the first time recording starts
+        this.recorder = null;
+        this.recordingPending = false; // start/stop in progress
+        
+        this.subscribeToEvents();
+        
+        // Where the listener is: strengths and fading follow from the transmitters' distance
+        this.ui.setLocationChangeCallback((locationId) => {
+            this.audio.setListenerLocation(locationId);
+        });
+        
+        // Band buttons switch the audio engine's waveband
+        this.ui.setBandChangeCallback((bandId) => {
+            this.audio.setBand(bandId);
+        });
+        
+        // Seek and scan
+        this.ui.setTuningCallback((action) => {
+            if (!this.audio.isPoweredOn) {
+                this.messages.displayMessage('Tune in first.');
+                return;
+            }
+            switch(action) {
+                case 'seek-down':
+                    this.scanner.seek(-1);
+                    break;
+                case 'seek-up':
+                    this.scanner.seek(1);
+                    break;
+                case 'scan':
+                    this.scanner.toggleScan();
+                    break;
+            }
         });
         
-        // Set up progress callback
-        this.audio.setProgressCallback((progress) => {
-            this.updateLoadingProgress(progress);
+        // Preset buttons: press to glide there, hold to store the current position
+        this.ui.setPresetCallback((action, index) => {
+            if (action === 'store') {
+                this.storePreset(index);
+            } else {
+                this.recallPreset(index);
+            }
+        });
+        this.ui.renderPresets(this.presets.getAll());
+        
+        // "Which Station Was That?" panel
+        this.ui.setGameActionCallback((action, value) => this.handleGameAction(action, value));
+        
+        // Link button copies a URL that tunes anyone opening it to the same station
+        this.ui.setCopyLinkCallback(() => this.copyLink());
+        
+        // Record button starts and stops a session recording
+        this.ui.setRecordCallback(() => {
+            if (this.isRecording()) {
+                this.stopRecording().catch(error => {
+                    console.error('Stopping the recording failed:', error);
+                    this.messages.displayMessage(`Could not save the recording: ${error.message}`);
+                });
+            } else {
+                this.startRecording().catch(error => {
+                    console.error('Recording failed to start:', error);
+                    this.messages.displayMessage(`Recording could not start: ${error.message}`);
+                });
+            }
+        });
+        
+        // Receiver selector swaps the whole set (cabinet, selectivity, noise, whistles)
+        this.ui.setProfileChangeCallback((profileId) => {
+            this.audio.applyReceiverProfile(profileId);
+        });
+        
+        // Connect the knobs beside the dial to the audio engine
+        this.ui.setKnobChangeCallback((name, value) => {
+            switch(name) {
+                case 'reaction':
+                    this.audio.setRegeneration(value);
+                    break;
+                case 'volume':
+                    this.audio.setVolume(value);
+                    break;
+                case 'tone':
+                    this.audio.setTone(value);
+                    break;
+            }
         });
         
         // Show loading bar initially
@@ -107,6 +199,344 @@ class RadioController {
         console.log('=== showStartButton() completed ===');
     }
 
+    // Set the knobs from the audio engine's starting state (without echoing back to it)
+    syncKnobs() {
+        this.ui.setKnobValue('volume', this.audio.getVolume(), false);
+        this.ui.setKnobValue('reaction', this.audio.getRegeneration(), false);
+        this.ui.setKnobEnabled('reaction', this.audio.getRegenerationAvailable());
+        const tone = this.audio.getTone();
+        if (tone !== null) {
+            this.ui.setKnobValue('tone', tone, false);
+        }
+    }
+
+    // ===== EVENTS =====
+
+    subscribeToEvents() {
+        const events = this.events;
+        
+        // Connect UI changes to audio system
+        events.on(RADIO_EVENTS.DIAL_CHANGED, ({ position }) => {
+            this.audio.onDialPositionChange(position);
+            this.updateLink();
+        });
+        
+        events.on(RADIO_EVENTS.LOADING_PROGRESS, ({ percent }) => {
+            this.updateLoadingProgress(percent);
+        });
+        
+        events.on(RADIO_EVENTS.READY, () => {
+            console.log('=== Audio ready ===');
+            console.log('Audio context state:', this.audio.audioContext ? this.audio.audioContext.state : 'No audio context');
+            console.log('Station tracks count:', this.audio.stationTracks ? this.audio.stationTracks.size : 'No station tracks');
+            if (this.audio.getStationsFile() !== RadioLinks.datasetFile(this.linkState && this.linkState.dataset)) {
+                this.missingDataset = this.linkState.dataset;
+            }
+            this.populateLocationSelector();
+            this.ui.setupLocationSelector(this.audio.getListenerLocations(), this.audio.getListenerLocation());
+            this.ui.setupBandSwitch(this.audio.getBands(), this.audio.getBand());
+            this.ui.setupProfileSelector(this.audio.getReceiverProfiles(), this.audio.getReceiverProfile());
+            this.syncKnobs();
+            this.renderLogbook();
+            this.showStartButton();
+        });
+        
+        // Held back during a game: the station just heard would give the answer away
+        events.on(RADIO_EVENTS.LOGBOOK_UPDATED, () => {
+            if (!this.game.isActive()) {
+                this.renderLogbook();
+            }
+        });
+        
+        // Each round starts with the dial near the mystery station
+        events.on(RADIO_EVENTS.GAME_ROUND, ({ round, score }) => {
+            this.ui.setDialPosition(round.startPosition);
+            this.ui.showGameRound(round, score);
+        });
+        events.on(RADIO_EVENTS.GAME_ANSWER, ({ result, score }) => this.ui.showGameAnswer(result, score));
+        events.on(RADIO_EVENTS.GAME_OVER, ({ results }) => {
+            this.ui.showGameResults(results);
+            this.renderLogbook();
+        });
+        
+        events.on(RADIO_EVENTS.PRESETS_UPDATED, ({ presets }) => this.ui.renderPresets(presets));
+        
+        events.on(RADIO_EVENTS.SCAN_STATE, ({ mode, direction }) => this.ui.setScanState(mode, direction));
+        
+        events.on(RADIO_EVENTS.BAND_CHANGED, ({ band }) => {
+            this.ui.setActiveBand(band);
+            this.updateLink();
+        });
+        
+        events.on(RADIO_EVENTS.PROFILE_CHANGED, ({ profile }) => {
+            this.ui.setActiveProfile(profile);
+            this.syncKnobs();
+            this.updateLink();
+        });
+        
+        events.on(RADIO_EVENTS.LOCATION_CHANGED, ({ location }) => {
+            this.ui.setActiveLocation(location);
+            const select = document.getElementById('debugLocation');
+            if (select) {
+                select.value = location || '';
+            }
+            this.updateLink();
+        });
+        
+        events.on(RADIO_EVENTS.STATION_ENTERED, ({ station }) => this.addRecordingCue(station));
+    }
+
+    // ===== LINKS =====
+
+    // Tune to what a shared link describes (once, when the listener first tunes in)
+    applyLinkState() {
+        const state = this.linkState;
+        this.linkState = null;
+        if (!state) return;
+        
+        if (state.location && !this.audio.setListenerLocation(state.location)) {
+            console.warn(`Link: unknown location ${state.location}`);
+        }
+        if (state.profile) {
+            this.audio.applyReceiverProfile(state.profile);
+        }
+        
+        // A station link tunes to that station; otherwise the band and dial as given
+        const station = state.station ? this.audio.stations.find(s => s.id === state.station) : null;
+        if (state.station && !station) {
+            console.warn(`Link: unknown station ${state.station}`);
+        }
+        const band = station ? station.band : state.band;
+        const dial = station ? station.position : state.dial;
+        if (band) {
+            this.audio.setBand(band);
+        }
+        if (dial !== undefined) {
+            this.ui.setDialPosition(dial);
+        }
+    }
+
+    // The link to what is playing now
+    getLink() {
+        return RadioLinks.build(window.location.href, {
+            dial: this.ui.getDialPosition(),
+            band: this.audio.getBand(),
+            profile: this.audio.getReceiverProfile(),
+            location: this.audio.getListenerLocation(),
+            dataset: this.audio.getStationsFile().replace(/\.yaml$/, '')
+        });
+    }
+
+    // Keep the address bar in step (debounced, since the dial sends a stream of changes)
+    updateLink() {
+        if (!this.linkUpdates) return;
+        clearTimeout(this.linkTimeout);
+        this.linkTimeout = setTimeout(() => {
+            history.replaceState(null, '', this.getLink());
+        }, 300);
+    }
+
+    async copyLink() {
+        const link = this.getLink();
+        try {
+            await navigator.clipboard.writeText(link);
+            this.messages.displayMessage('Link copied: anyone opening it hears this station.');
+        } catch (error) {
+            // No clipboard access (e.g. plain http): let the listener copy it by hand
+            window.prompt('Copy this link:', link);
+        }
+        return link;
+    }
+
+    // ===== PRESETS =====
+
+    // Store the dial position and band, labelled with the station (the listener can rename it)
+    storePreset(index) {
+        if (index >= this.presets.getCount()) return false;
+        
+        const station = this.audio.isPoweredOn ? this.audio.getTunedStation() : null;
+        const frequency = this.audio.getDialFrequency();
+        const suggested = station ? station.title : (frequency !== null ? `${Math.round(frequency)} kHz` : `Preset ${index + 1}`);
+        const label = window.prompt(`Label for preset ${index + 1}`, suggested);
+        if (label === null) return false; // cancelled
+        
+        return this.presets.store(index, {
+            position: this.ui.getDialPosition(),
+            band: this.audio.getBand(),
+            label
+        });
+    }
+
+    // Glide the dial to a preset, switching band first if it's on another one
+    recallPreset(index) {
+        const preset = this.presets.get(index);
+        if (!preset) {
+            if (index < this.presets.getCount()) {
+                this.messages.displayMessage(`Preset ${index + 1} is empty: hold the button to store this station.`);
+            }
+            return false;
+        }
+        if (!this.audio.isPoweredOn) {
+            this.messages.displayMessage('Tune in first.');
+            return false;
+        }
+        
+        if (preset.band && preset.band !== this.audio.getBand()) {
+            this.scanner.stop();
+            this.audio.setBand(preset.band);
+        }
+        return this.scanner.glideTo(preset.position);
+    }
+
+    // Download the presets as JSON (for loading onto another machine)
+    exportPresets() {
+        const blob = new Blob([this.presets.exportJson()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'etherocean-presets.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    // Replace the presets from exported JSON text; returns false (with a message) if it's not valid
+    importPresets(text) {
+        try {
+            this.presets.importJson(text);
+            return true;
+        } catch (error) {
+            console.error('Preset import failed:', error);
+            this.messages.displayMessage(error.message);
+            return false;
+        }
+    }
+
+    // ===== GAME =====
+
+    handleGameAction(action, value) {
+        switch(action) {
+            case 'open':
+                this.game.stop();
+                this.renderLogbook();
+                this.ui.showGameSetup(RadioGame.getDifficulties());
+                break;
+            case 'start':
+                if (!this.audio.isPoweredOn) {
+                    this.messages.displayMessage('Tune in first, then start the game.');
+                } else if (!this.game.start(value)) {
+                    this.messages.displayMessage('Not enough stations on the air for a game right now.');
+                }
+                break;
+            case 'answer':
+                this.game.answer(value);
+                break;
+            case 'next':
+                this.game.next();
+                break;
+            case 'quit':
+                this.game.stop();
+                this.renderLogbook();
+                this.ui.toggleGame(false);
+                break;
+        }
+    }
+
+    // Every station, with its logbook entry if it has been heard
+    renderLogbook() {
+        this.ui.renderLogbook(this.audio.stations.map(station => ({
+            station,
+            entry: this.logbook.getEntry(station.id)
+        })));
+    }
+
+    // ===== RECORDING =====
+
+    // Record what the listener hears (after the cabinet) until stopRecording()
+    async startRecording() {
+        if (this.recordingPending || this.isRecording()) return false;
+        if (!this.audio.outputBus) {
+            console.log('Audio not ready yet');
+            return false;
+        }
+        
+        this.recordingPending = true;
+        try {
+            if (!this.recorder) {
+                this.recorder = new RadioRecorder(this.audio.audioContext, this.audio.outputBus);
+            }
+            await this.recorder.start();
+        } finally {
+            this.recordingPending = false;
+        }
+        
+        this.ui.setRecording(true);
+        if (this.audio.tunedStation) {
+            this.addRecordingCue(this.audio.tunedStation); // cue whatever is already tuned in
+        }
+        return true;
+    }
+
+    // Stop recording and download the WAV (with a cue per station tuned).
+    // Resolves to the WAV Blob, or null if nothing was being recorded.
+    async stopRecording(download = true) {
+        if (this.recordingPending || !this.isRecording()) return null;
+        
+        this.recordingPending = true;
+        try {
+            await this.recorder.stop();
+        } finally {
+            this.recordingPending = false;
+        }
+        this.ui.setRecording(false);
+        
+        const wav = this.recorder.exportWav();
+        if (download) {
+            this.downloadRecording(wav);
+        }
+        return wav;
+    }
+
+    isRecording() {
+        return !!(this.recorder && this.recorder.getIsRecording());
+    }
+
+    // Cue each station the dial lands on
+    addRecordingCue(station) {
+        if (!this.isRecording()) return;
+        
+        const frequency = this.audio.getDialFrequency();
+        const band = this.audio.getBand();
+        this.recorder.addCue(frequency === null
+            ? station.title
+            : `${station.title} (${Math.round(frequency)} kHz ${band.toUpperCase()})`);
+    }
+
+    downloadRecording(wav) {
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(wav);
+        link.download = `etherocean-${stamp}.wav`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    populateLocationSelector() {
+        const select = document.getElementById('debugLocation');
+        if (!select) return;
+        
+        select.innerHTML = '';
+        const fixed = document.createElement('option');
+        fixed.value = '';
+        fixed.textContent = 'None (fixed strengths)';
+        select.appendChild(fixed);
+        for (const location of this.audio.getListenerLocations()) {
+            const option = document.createElement('option');
+            option.value = location.id;
+            option.textContent = location.name;
+            select.appendChild(option);
+        }
+        select.value = this.audio.getListenerLocation() || '';
+    }
+
     setupStartButton() {
         const startBtn = document.getElementById('startBtn');
         
@@ -120,14 +550,24 @@ class RadioController {
         startBtn.addEventListener('click', () => {
             console.log('Start button clicked!');
             
+            // Power on where the dial already is, or where a shared link puts it
+            this.applyLinkState();
+            this.audio.onDialPositionChange(this.ui.getDialPosition());
             const isOn = this.audio.togglePower();
             console.log('Audio power state:', isOn);
             
             if (isOn) {
-                // Show default message when radio is started
-                this.messages.showDefaultMessage();
+                // Show default message when radio is started, unless a linked dataset was missing
+                if (this.missingDataset) {
+                    this.messages.displayMessage(`Station set "${this.missingDataset}" not found. Playing the usual stations.`);
+                    this.missingDataset = null;
+                } else {
+                    this.messages.showDefaultMessage();
+                }
                 // Update mixing for current dial position
                 this.audio.onDialPositionChange(this.ui.getDialPosition());
+                this.linkUpdates = true;
+                this.updateLink();
             }
         });
         
@@ -146,21 +586,95 @@ window.testWhistles = function() {
 
 // Make whistle configuration available globally for tuning
 window.setWhistleConfig = function(config) {
+    if (window.radioController && window.radioController.audio && window.radioController.audio.whistleSystem) {
+        const whistles = window.radioController.audio.whistleSystem;
+        if (config.scale !== undefined) whistles.setWhistleScale(config.scale);
+        if (config.edgeWidth !== undefined) whistles.setWhistleEdgeWidth(config.edgeWidth);
+        if (config.maxGain !== undefined) whistles.setWhistleMaxGain(config.maxGain);
+        if (config.deadband !== undefined) whistles.setWhistleCenterDeadband(config.deadband);
+        if (config.rampMs !== undefined) whistles.setWhistleRampMs(config.rampMs);
+        if (config.maxSimultaneous !== undefined) whistles.setWhistleMaxSimultaneous(config.maxSimultaneous);
+        if (config.globalCeiling !== undefined) whistles.setWhistleGlobalCeiling(config.globalCeiling);
+        if (config.pairThreshold !== undefined) whistles.setWhistlePairThreshold(config.pairThreshold);
+        if (config.pairMaxGain !== undefined) whistles.setWhistlePairMaxGain(config.pairMaxGain);
+        console.log('Whistle configuration updated');
+    } else {
+        console.log('Radio controller not ready yet');
+    }
+};
+
+// Switch between the cheap Gaussian mixer and the AM carrier/detector model
+window.setRfMode = function(enabled) {
+    if (window.radioController && window.radioController.audio) {
+        window.radioController.audio.setRfMode(enabled);
+    } else {
+        console.log('Radio controller not ready yet');
+    }
+};
+
+// Switch receiver: 'crystal', 'two-valve' or 'superhet'
+window.setReceiverProfile = function(profileId) {
+    if (window.radioController) {
+        const controller = window.radioController;
+        if (!controller.audio.applyReceiverProfile(profileId)) {
+            console.log('Known profiles:', controller.audio.getReceiverProfiles().map(p => p.id).join(', '));
+        }
+    } else {
+        console.log('Radio controller not ready yet');
+    }
+};
+
+// Switch waveband: 'lw', 'mw' or 'sw'
+window.setBand = function(bandId) {
+    if (window.radioController) {
+        window.radioController.audio.setBand(bandId);
+    } else {
+        console.log('Radio controller not ready yet');
+    }
+};
+
+// Set the reaction (regeneration) control, 0..1; oscillates above 0.8
+window.setRegeneration = function(value) {
+    if (window.radioController) {
+        window.radioController.ui.setKnobValue('reaction', value);
+    } else {
+        console.log('Radio controller not ready yet');
+    }
+};
+
+// Switch the listener location (e.g. 'london', 'pittsburgh', 'hamburg')
+window.setListenerLocation = function(locationId) {
     if (window.radioController && window.radioController.audio) {
         const audio = window.radioController.audio;
-        if (config.scale !== undefined) audio.setWhistleScale(config.scale);
-        if (config.edgeWidth !== undefined) audio.setWhistleEdgeWidth(config.edgeWidth);
-        if (config.maxGain !== undefined) audio.setWhistleMaxGain(config.maxGain);
-        if (config.deadband !== undefined) audio.setWhistleCenterDeadband(config.deadband);
-        if (config.rampMs !== undefined) audio.setWhistleRampMs(config.rampMs);
-        if (config.maxSimultaneous !== undefined) audio.setWhistleMaxSimultaneous(config.maxSimultaneous);
-        if (config.globalCeiling !== undefined) audio.setWhistleGlobalCeiling(config.globalCeiling);
-        console.log('Whistle configuration updated');
+        if (!audio.setListenerLocation(locationId)) {
+            console.log('Known locations:', audio.getListenerLocations().map(l => l.id).join(', '));
+        }
     } else {
         console.log('Radio controller not ready yet');
     }
 };
 
+// Forget every station in the logbook (stations found this visit are announced again after a reload)
+window.clearLogbook = function() {
+    if (window.radioController) {
+        window.radioController.logbook.clear();
+    } else {
+        console.log('Radio controller not ready yet');
+    }
+};
+
+// Render a scripted dial sweep offline and download it as a WAV, e.g.
+// renderDialSweep({ seed: 1925, powerOn: 0.5, dial: [{ time: 0, position: 40 }, { time: 10, position: 95 }] })
+window.renderDialSweep = async function(script) {
+    if (!window.radioController) {
+        console.log('Radio controller not ready yet');
+        return null;
+    }
+    const result = await new RadioRenderer().render(script);
+    window.radioController.downloadRecording(RadioRenderer.toWav(result));
+    return result;
+};
+
 // Make debugging functions available globally
 window.startAudioDebug = function() {
     if (window.radioController && window.radioController.audio) {
@@ -255,6 +769,10 @@ document.addEventListener('DOMContentLoaded', () => {
 document.addEventListener('visibilitychange', () => {
     if (document.hidden) {
         // Page is hidden, could pause audio here if needed
+        // Save listening time so far; the page may not come back
+        if (window.radioController) {
+            window.radioController.logbook.flush();
+        }
     } else {
         // Page is visible again
     }
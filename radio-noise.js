@@ -0,0 +1,145 @@
+// Radio Noise
+// Procedural noise bed built on the ether-noise AudioWorklet (noise-worklet.js).
+// Each component (background hiss, QRN static crashes, mains hum) gets its own
+// noise track so it plugs into RadioAudio's noiseTracks map and master bus like the
+// looped MP3 beds it replaces.
+
+// ===== CONFIGURATION VARIABLES =====
+
+const NOISE_WORKLET_URL = 'noise-worklet.js';
+const NOISE_PROCESSOR_NAME = 'ether-noise';
+const NOISE_PARAM_SMOOTHING = 0.1; // seconds
+const QRN_DAY_RATE = 0.5; // crashes per second
+const QRN_NIGHT_RATE = 2.0; // more distant storms are heard after dark
+
+// Noise track name -> worklet output index
+const NOISE_OUTPUTS = {
+    constantNoise: 0, // background hiss
+    etherNoise: 1, // QRN static crashes
+    humNoise: 2 // mains hum
+};
+
+// Component name -> level parameter
+const NOISE_LEVEL_PARAMS = {
+    hiss: 'hissLevel',
+    crash: 'crashLevel',
+    hum: 'humLevel'
+};
+
+// ===== NOISE CLASS =====
+
+class RadioNoise {
+    constructor(audioContext, random = Math.random) {
+        this.audioContext = audioContext;
+        this.seed = Math.floor(random() * 4294967296) >>> 0; // the worklet's generator seed
+        this.node = null; // AudioWorkletNode
+        this.isInitialized = false;
+        this.nightFactor = 0;
+        this.crashRateScale = 1; // band-dependent: long wave suffers most from atmospherics
+    }
+
+    static isSupported(audioContext) {
+        return !!(audioContext && audioContext.audioWorklet && typeof AudioWorkletNode !== 'undefined');
+    }
+
+    async initialize() {
+        if (this.isInitialized) return;
+
+        await this.audioContext.audioWorklet.addModule(NOISE_WORKLET_URL);
+        this.node = new AudioWorkletNode(this.audioContext, NOISE_PROCESSOR_NAME, {
+            numberOfInputs: 0,
+            numberOfOutputs: 3,
+            outputChannelCount: [1, 1, 1],
+            processorOptions: { seed: this.seed }
+        });
+
+        this.isInitialized = true;
+        console.log('Procedural noise initialized');
+    }
+
+    // Build one noise track per component, each with the { gainNode, start, stop } shape
+    // RadioAudio expects, feeding the given destination (the master bus)
+    createTracks(destination) {
+        const tracks = new Map();
+
+        for (const [name, outputIndex] of Object.entries(NOISE_OUTPUTS)) {
+            const gainNode = this.audioContext.createGain();
+            gainNode.gain.value = 0;
+            gainNode.connect(destination);
+
+            const node = this.node;
+            tracks.set(name, {
+                gainNode,
+                source: null,
+                outputIndex,
+
+                start: function() {
+                    if (this.source) return;
+                    node.connect(this.gainNode, this.outputIndex);
+                    this.source = node;
+                },
+
+                stop: function() {
+                    if (!this.source) return;
+                    node.disconnect(this.gainNode, this.outputIndex);
+                    this.source = null;
+                }
+            });
+        }
+
+        return tracks;
+    }
+
+    // Level of one component: 'hiss', 'crash' or 'hum'
+    setLevel(component, value) {
+        this._setParam(NOISE_LEVEL_PARAMS[component], value);
+    }
+
+    getLevel(component) {
+        return this._getParam(NOISE_LEVEL_PARAMS[component]);
+    }
+
+    setCrashRate(perSecond) {
+        this._setParam('crashRate', perSecond);
+    }
+
+    getCrashRate() {
+        return this._getParam('crashRate');
+    }
+
+    setHumFrequency(hz) {
+        this._setParam('humFrequency', hz);
+    }
+
+    // 0 = day, 1 = night at the listener: distant thunderstorms carry further after dark
+    setNightFactor(night) {
+        this.nightFactor = night;
+        this.setCrashRate((QRN_DAY_RATE + (QRN_NIGHT_RATE - QRN_DAY_RATE) * night) * this.crashRateScale);
+    }
+
+    setCrashRateScale(scale) {
+        this.crashRateScale = scale;
+        this.setNightFactor(this.nightFactor);
+    }
+
+    _setParam(name, value) {
+        if (!this.node || !name) return;
+        const param = this.node.parameters.get(name);
+        if (param) {
+            param.setTargetAtTime(value, this.audioContext.currentTime, NOISE_PARAM_SMOOTHING);
+        }
+    }
+
+    _getParam(name) {
+        if (!this.node || !name) return null;
+        const param = this.node.parameters.get(name);
+        return param ? param.value : null;
+    }
+}
+
+// Export for use in main simulator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RadioNoise;
+} else if (typeof window !== 'undefined') {
+    window.RadioNoise = RadioNoise;
+}
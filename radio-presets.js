@@ -0,0 +1,163 @@
+// Radio Presets
+// A bank of preset buttons, each remembering a dial position, band and label. Kept in
+// localStorage, and exported or imported as JSON so a guide can prepare a tour on one
+// machine and load it on the exhibit:
+//   { "version": 1, "presets": [{ "label": "Daventry", "position": 42.5, "band": "mw" }, null, ...] }
+// Emits 'presets-updated' whenever a slot changes (index null when all were imported).
+
+// ===== CONFIGURATION VARIABLES =====
+
+const PRESET_COUNT = 5;
+const PRESET_STORAGE_KEY = 'etherocean-presets';
+const PRESET_VERSION = 1;
+const PRESET_LABEL_MAX = 24; // characters shown on a button
+
+// ===== PRESETS CLASS =====
+
+class RadioPresets {
+    // options: storage { getItem, setItem } (default: localStorage when available)
+    constructor(events, options = {}) {
+        this.events = events;
+        this.storage = options.storage !== undefined ? options.storage : RadioPresets.defaultStorage();
+        this.presets = new Array(PRESET_COUNT).fill(null); // { label, position, band } or null
+
+        this.load();
+    }
+
+    static defaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null; // storage blocked (e.g. cookies disabled)
+        }
+    }
+
+    getCount() {
+        return PRESET_COUNT;
+    }
+
+    get(index) {
+        return this.presets[index] || null;
+    }
+
+    getAll() {
+        return this.presets.map(preset => preset ? { ...preset } : null);
+    }
+
+    // Remember a dial position (0-180) and band in a slot
+    store(index, { position, band, label }) {
+        if (!this._isSlot(index)) {
+            console.warn(`No preset slot ${index + 1}`);
+            return false;
+        }
+        const preset = RadioPresets.validate({ position, band, label: label || `Preset ${index + 1}` });
+        if (!preset) {
+            console.warn('Invalid preset:', { position, band, label });
+            return false;
+        }
+
+        this.presets[index] = preset;
+        console.log(`Preset ${index + 1}: ${preset.label} (${preset.position.toFixed(1)}°, ${preset.band || 'any band'})`);
+        this._changed(index);
+        return true;
+    }
+
+    clear(index) {
+        if (!this._isSlot(index) || !this.presets[index]) return;
+        this.presets[index] = null;
+        this._changed(index);
+    }
+
+    _isSlot(index) {
+        return Number.isInteger(index) && index >= 0 && index < PRESET_COUNT;
+    }
+
+    // A clean preset, or null if it isn't one
+    static validate(preset) {
+        if (!preset || typeof preset !== 'object') return null;
+        const position = Number(preset.position);
+        if (!Number.isFinite(position) || position < 0 || position > 180) return null;
+        return {
+            label: String(preset.label || '').trim().slice(0, PRESET_LABEL_MAX) || 'Preset',
+            position,
+            band: typeof preset.band === 'string' && preset.band ? preset.band : null
+        };
+    }
+
+    // index: the slot that changed, or null for all of them
+    _changed(index = null) {
+        this.save();
+        this.events.emit(RADIO_EVENTS.PRESETS_UPDATED, { presets: this.getAll(), index });
+    }
+
+    // ===== IMPORT AND EXPORT =====
+
+    exportJson() {
+        return JSON.stringify({ version: PRESET_VERSION, presets: this.presets }, null, 2);
+    }
+
+    // Replace every slot from exported JSON; throws with a readable message if it isn't valid
+    importJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Presets file is not JSON: ${error.message}`);
+        }
+        if (!data || data.version !== PRESET_VERSION || !Array.isArray(data.presets)) {
+            throw new Error(`Presets file should have "version": ${PRESET_VERSION} and a "presets" list`);
+        }
+
+        const presets = new Array(PRESET_COUNT).fill(null);
+        data.presets.slice(0, PRESET_COUNT).forEach((preset, index) => {
+            if (preset === null) return;
+            const valid = RadioPresets.validate(preset);
+            if (!valid) {
+                throw new Error(`Preset ${index + 1} needs a position between 0 and 180`);
+            }
+            presets[index] = valid;
+        });
+        if (data.presets.length > PRESET_COUNT) {
+            console.warn(`Presets file has ${data.presets.length} presets; only the first ${PRESET_COUNT} are used`);
+        }
+
+        this.presets = presets;
+        console.log(`Presets imported: ${presets.filter(Boolean).length} of ${PRESET_COUNT} set`);
+        this._changed();
+    }
+
+    // ===== PERSISTENCE =====
+
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const text = this.storage.getItem(PRESET_STORAGE_KEY);
+            if (!text) return;
+            const data = JSON.parse(text);
+            if (data.version !== PRESET_VERSION || !Array.isArray(data.presets)) return;
+            for (let i = 0; i < PRESET_COUNT; i++) {
+                this.presets[i] = RadioPresets.validate(data.presets[i]);
+            }
+        } catch (error) {
+            console.warn('Presets: could not read stored presets:', error);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(PRESET_STORAGE_KEY, this.exportJson());
+        } catch (error) {
+            console.warn('Presets: could not save:', error);
+        }
+    }
+}
+
+// Export for use in main simulator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RadioPresets;
+} else if (typeof window !== 'undefined') {
+    window.RadioPresets = RadioPresets;
+}
@@ -0,0 +1,128 @@
+// Radio Propagation
+// Medium-wave reception model: turns a transmitter's position and power plus the
+// listener's location and the time of day into a received strength and fading depth.
+// Ground wave carries by day and dies away within a few hundred kilometres; after
+// dark the sky wave returns from the ionosphere and distant stations come in, fading
+// as the two paths interfere.
+
+// ===== CONFIGURATION VARIABLES =====
+
+const EARTH_RADIUS_KM = 6371;
+const FIELD_CONSTANT = 300; // mV/m at 1 km for 1 kW (short vertical antenna)
+const GROUNDWAVE_RANGE_KM = 250; // ground-wave attenuation length over land
+const SKYWAVE_MIN_KM = 150; // sky wave only returns beyond the skip zone
+const SKYWAVE_NIGHT_FACTOR = 0.3; // sky-wave field relative to free space at night
+const SKYWAVE_DAY_FACTOR = 0.005; // D-layer absorption all but kills it by day
+const SKYWAVE_LONG_PATH_KM = 4000; // beyond this, extra loss per extra hop
+const SKYWAVE_LONG_PATH_LOSS_KM = 6000;
+const TWILIGHT_HOURS = 1; // ramp between day and night propagation
+
+// Received field (dB above 1 µV/m) mapped onto station strength 0..STRENGTH_CEILING
+const STRENGTH_FLOOR_DBU = 20;
+const STRENGTH_RANGE_DB = 50;
+const STRENGTH_CEILING = 0.9;
+
+// ===== PROPAGATION CLASS =====
+
+class RadioPropagation {
+    constructor() {
+        this.locations = new Map(); // location ID -> { id, name, lat, lon }
+        this.listenerLocation = null;
+    }
+
+    setLocations(locations) {
+        this.locations = new Map(locations.map(location => [location.id, location]));
+    }
+
+    getLocations() {
+        return [...this.locations.values()];
+    }
+
+    // Pass null to go back to fixed station strengths
+    setListenerLocation(locationId) {
+        if (locationId === null) {
+            this.listenerLocation = null;
+            return true;
+        }
+
+        const location = this.locations.get(locationId);
+        if (!location) {
+            console.warn(`Unknown listener location: ${locationId}`);
+            return false;
+        }
+        this.listenerLocation = location;
+        console.log(`Listener location: ${location.name}`);
+        return true;
+    }
+
+    getListenerLocation() {
+        return this.listenerLocation;
+    }
+
+    // Great-circle distance in km
+    distanceKm(a, b) {
+        const toRad = (deg) => deg * Math.PI / 180;
+        const dLat = toRad(b.lat - a.lat);
+        const dLon = toRad(b.lon - a.lon);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+
+    // 0 by day, 1 by night, ramped through twilight, judged by local solar time at
+    // the middle of the path (where the sky wave reflects)
+    nightFactor(timestamp, a, b) {
+        const midLon = (a.lon + b.lon) / 2;
+        const date = new Date(timestamp);
+        const utcHours = date.getUTCHours() + date.getUTCMinutes() / 60;
+        const solarHour = ((utcHours + midLon / 15) % 24 + 24) % 24;
+
+        // Ramp towards night through dusk (18:00) and back out through dawn (06:00)
+        const ramp = (edge, hour) => Math.max(0, Math.min(1, 0.5 + (hour - edge) / (2 * TWILIGHT_HOURS)));
+        const sinceDusk = ramp(18, solarHour);
+        const untilDawn = 1 - ramp(6, solarHour);
+        return Math.max(sinceDusk, untilDawn);
+    }
+
+    // Reception of one transmitter at the current listener location.
+    // Returns { strength, fadingDepth, distanceKm, night } or null without geography.
+    calculateReception(transmitter, timestamp) {
+        if (!transmitter || !this.listenerLocation) return null;
+
+        const listener = this.listenerLocation;
+        const distance = Math.max(1, this.distanceKm(transmitter, listener));
+        const night = this.nightFactor(timestamp, transmitter, listener);
+        const freeSpace = FIELD_CONSTANT * Math.sqrt(transmitter.power) / distance; // mV/m
+
+        const groundWave = freeSpace * Math.exp(-distance / GROUNDWAVE_RANGE_KM);
+
+        let skyWave = 0;
+        if (distance > SKYWAVE_MIN_KM) {
+            const skyFactor = SKYWAVE_DAY_FACTOR + (SKYWAVE_NIGHT_FACTOR - SKYWAVE_DAY_FACTOR) * night;
+            const longPathLoss = Math.exp(-Math.max(0, distance - SKYWAVE_LONG_PATH_KM) / SKYWAVE_LONG_PATH_LOSS_KM);
+            // Fade the sky wave in across the skip zone rather than switching it on
+            const onset = Math.min(1, (distance - SKYWAVE_MIN_KM) / SKYWAVE_MIN_KM);
+            skyWave = freeSpace * skyFactor * longPathLoss * onset;
+        }
+
+        const field = groundWave + skyWave;
+        const dbu = 20 * Math.log10(field * 1000); // mV/m -> dB above 1 µV/m
+        const strength = STRENGTH_CEILING * Math.max(0, Math.min(1, (dbu - STRENGTH_FLOOR_DBU) / STRENGTH_RANGE_DB));
+
+        // Sky wave always fades; it fades deepest where it is comparable to the ground wave
+        const skyShare = field > 0 ? skyWave / field : 0;
+        const balance = Math.max(groundWave, skyWave) > 0
+            ? Math.min(groundWave, skyWave) / Math.max(groundWave, skyWave)
+            : 0;
+        const fadingDepth = Math.min(0.9, 0.5 * skyShare + 0.4 * balance);
+
+        return { strength, fadingDepth, distanceKm: distance, night };
+    }
+}
+
+// Export for use in main simulator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RadioPropagation;
+} else if (typeof window !== 'undefined') {
+    window.RadioPropagation = RadioPropagation;
+}
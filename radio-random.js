@@ -0,0 +1,40 @@
+// Radio Random
+// Seeded random numbers for reproducible renders. Everything random in the simulator
+// (fading walks, reverb impulses, the noise bed) takes a `random` function returning
+// values in [0, 1), Math.random by default; pass seededRandom(seed) instead and the
+// same seed gives the same sound every time.
+
+// ===== SEEDED RANDOM =====
+
+// mulberry32: small, fast and good enough for audio. Seeds are numbers or strings.
+function seededRandom(seed) {
+    let state = hashSeed(seed);
+    return function random() {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// 32-bit seed from a number or string (FNV-1a for strings)
+function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+    let hash = 0x811C9DC5;
+    for (const char of String(seed)) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Export for use in main simulator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { seededRandom, hashSeed };
+} else if (typeof window !== 'undefined') {
+    window.seededRandom = seededRandom;
+    window.hashSeed = hashSeed;
+}
@@ -0,0 +1,286 @@
+// Radio Recorder
+// Captures what the listener hears (the post-cabinet output bus: stations, noise,
+// whistles and cabinet colouring) and exports it as a 16-bit stereo WAV file. Cues
+// added while recording (e.g. each station tuned) are written into the file as a
+// cue list with labels, which most audio editors show as markers.
+// Capture uses the recorder AudioWorklet (recorder-worklet.js), falling back to a
+// ScriptProcessorNode where AudioWorklet isn't available.
+
+// ===== CONFIGURATION VARIABLES =====
+
+const RECORDER_WORKLET_URL = 'recorder-worklet.js';
+const RECORDER_PROCESSOR_NAME = 'ether-recorder';
+const RECORDER_FALLBACK_BUFFER = 4096; // ScriptProcessorNode buffer size (frames)
+const RECORDER_MAX_SECONDS = 600; // captured audio is held in memory until export
+const RECORDER_CHANNELS = 2;
+
+// ===== RECORDER CLASS =====
+
+class RadioRecorder {
+    constructor(audioContext, sourceNode) {
+        this.audioContext = audioContext;
+        this.sourceNode = sourceNode; // tapped, not re-routed: the listener hears no difference
+        this.captureNode = null; // AudioWorkletNode or ScriptProcessorNode
+        this.muteNode = null; // keeps the capture node pulled without adding to the output
+        this.useWorklet = false;
+        this.isInitialized = false;
+
+        this.isRecording = false;
+        this.chunks = []; // [[left, right], ...] Float32Array pairs in capture order
+        this.frames = 0;
+        this.startTime = 0; // audioContext.currentTime when recording started
+        this.cues = []; // { frame, label }
+        this.maxFrames = RECORDER_MAX_SECONDS * (audioContext ? audioContext.sampleRate : 48000);
+        this.stopResolver = null;
+    }
+
+    static isWorkletSupported(audioContext) {
+        return !!(audioContext && audioContext.audioWorklet && typeof AudioWorkletNode !== 'undefined');
+    }
+
+    async initialize() {
+        if (this.isInitialized) return;
+
+        const ctx = this.audioContext;
+        this.muteNode = ctx.createGain();
+        this.muteNode.gain.value = 0;
+        this.muteNode.connect(ctx.destination);
+
+        if (RadioRecorder.isWorkletSupported(ctx)) {
+            try {
+                await ctx.audioWorklet.addModule(RECORDER_WORKLET_URL);
+                this.captureNode = new AudioWorkletNode(ctx, RECORDER_PROCESSOR_NAME, {
+                    numberOfInputs: 1,
+                    numberOfOutputs: 1,
+                    channelCount: RECORDER_CHANNELS,
+                    channelCountMode: 'explicit'
+                });
+                this.captureNode.port.onmessage = (event) => this._onWorkletMessage(event.data);
+                this.useWorklet = true;
+            } catch (error) {
+                console.warn('Recorder worklet unavailable, using ScriptProcessorNode:', error.message);
+            }
+        }
+
+        if (!this.captureNode) {
+            this.captureNode = ctx.createScriptProcessor(RECORDER_FALLBACK_BUFFER, RECORDER_CHANNELS, RECORDER_CHANNELS);
+            this.captureNode.onaudioprocess = (event) => {
+                if (!this.isRecording) return;
+                const input = event.inputBuffer;
+                const channels = [];
+                for (let ch = 0; ch < RECORDER_CHANNELS; ch++) {
+                    channels.push(new Float32Array(input.getChannelData(Math.min(ch, input.numberOfChannels - 1))));
+                }
+                this._addChunk(channels);
+            };
+        }
+
+        this.sourceNode.connect(this.captureNode);
+        this.captureNode.connect(this.muteNode);
+
+        this.isInitialized = true;
+        console.log(`Recorder initialized (${this.useWorklet ? 'AudioWorklet' : 'ScriptProcessorNode'})`);
+    }
+
+    // Start a new recording, discarding any previous one
+    async start() {
+        if (this.isRecording) return;
+        await this.initialize();
+
+        this.chunks = [];
+        this.frames = 0;
+        this.cues = [];
+        this.startTime = this.audioContext.currentTime;
+        this.isRecording = true;
+        if (this.useWorklet) {
+            this.captureNode.port.postMessage('start');
+        }
+        console.log('Recording started');
+    }
+
+    // Stop recording; resolves once the last captured audio has arrived
+    async stop() {
+        if (!this.isRecording) return;
+
+        if (this.useWorklet) {
+            await new Promise(resolve => {
+                this.stopResolver = resolve;
+                this.captureNode.port.postMessage('stop');
+            });
+        }
+        this.isRecording = false;
+        console.log(`Recording stopped: ${this.getDuration().toFixed(1)}s, ${this.cues.length} cues`);
+    }
+
+    _onWorkletMessage(message) {
+        if (message.channels) {
+            this._addChunk(message.channels);
+        } else if (message.stopped && this.stopResolver) {
+            this.stopResolver();
+            this.stopResolver = null;
+        }
+    }
+
+    _addChunk(channels) {
+        if (this.frames >= this.maxFrames) return;
+        const room = this.maxFrames - this.frames;
+        if (channels[0].length > room) {
+            channels = channels.map(channel => channel.subarray(0, room));
+            console.warn(`Recording reached ${RECORDER_MAX_SECONDS}s; later audio is not kept`);
+        }
+        this.chunks.push(channels);
+        this.frames += channels[0].length;
+    }
+
+    // Mark the current moment, e.g. the station just tuned in
+    addCue(label) {
+        if (!this.isRecording) return;
+        const seconds = this.audioContext.currentTime - this.startTime;
+        const frame = Math.max(0, Math.round(seconds * this.audioContext.sampleRate));
+        this.cues.push({ frame, label: String(label) });
+        console.log(`Recording cue at ${seconds.toFixed(1)}s: ${label}`);
+    }
+
+    getCues() {
+        const rate = this.audioContext.sampleRate;
+        return this.cues.map(cue => ({ time: cue.frame / rate, label: cue.label }));
+    }
+
+    getDuration() {
+        return this.frames / this.audioContext.sampleRate;
+    }
+
+    getIsRecording() {
+        return this.isRecording;
+    }
+
+    // ===== WAV EXPORT =====
+
+    // The recording as a WAV file Blob (browser) for download or sharing
+    exportWav() {
+        return new Blob([this.encodeWav()], { type: 'audio/wav' });
+    }
+
+    encodeWav() {
+        return RadioRecorder.encodeWav(this.chunks, this.audioContext.sampleRate, this.cues);
+    }
+
+    // RIFF/WAVE: 'fmt ', 'data', then a 'cue ' chunk and a 'LIST'/'adtl' chunk of 'labl'
+    // entries naming each cue point. chunks are [left, right] Float32Array pairs in order,
+    // cues are { frame, label }. Also used for offline renders (radio-renderer.js).
+    static encodeWav(chunks, rate, cueList = []) {
+        const frames = chunks.reduce((sum, channels) => sum + channels[0].length, 0);
+        const cues = cueList.map((cue, index) => ({
+            id: index + 1,
+            frame: Math.min(cue.frame, frames),
+            label: cue.label
+        }));
+
+        const encoder = new TextEncoder();
+        const labels = cues.map(cue => encoder.encode(cue.label + '\0'));
+
+        const dataSize = frames * RECORDER_CHANNELS * 2;
+        const cueSize = cues.length ? 4 + cues.length * 24 : 0;
+        const listSize = cues.length
+            ? 4 + labels.reduce((sum, label) => sum + 8 + 4 + label.length + ((4 + label.length) % 2), 0)
+            : 0;
+
+        const chunkTotal = (size) => size ? 8 + size + (size % 2) : 0;
+        const riffSize = 4 + chunkTotal(16) + chunkTotal(dataSize) + chunkTotal(cueSize) + chunkTotal(listSize);
+        const buffer = new ArrayBuffer(8 + riffSize);
+        const view = new DataView(buffer);
+        let offset = 0;
+
+        const writeTag = (tag) => {
+            for (let i = 0; i < 4; i++) view.setUint8(offset++, tag.charCodeAt(i));
+        };
+        const writeUint32 = (value) => {
+            view.setUint32(offset, value, true);
+            offset += 4;
+        };
+        const writeUint16 = (value) => {
+            view.setUint16(offset, value, true);
+            offset += 2;
+        };
+
+        writeTag('RIFF');
+        writeUint32(riffSize);
+        writeTag('WAVE');
+
+        // Format: 16-bit PCM
+        writeTag('fmt ');
+        writeUint32(16);
+        writeUint16(1);
+        writeUint16(RECORDER_CHANNELS);
+        writeUint32(rate);
+        writeUint32(rate * RECORDER_CHANNELS * 2);
+        writeUint16(RECORDER_CHANNELS * 2);
+        writeUint16(16);
+
+        // Interleaved samples
+        writeTag('data');
+        writeUint32(dataSize);
+        for (const channels of chunks) {
+            for (let i = 0; i < channels[0].length; i++) {
+                for (let ch = 0; ch < RECORDER_CHANNELS; ch++) {
+                    const sample = Math.max(-1, Math.min(1, channels[ch][i]));
+                    view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                    offset += 2;
+                }
+            }
+        }
+
+        if (cues.length) {
+            // Cue points, positioned by sample frame in the data chunk
+            writeTag('cue ');
+            writeUint32(cueSize);
+            writeUint32(cues.length);
+            for (const cue of cues) {
+                writeUint32(cue.id);
+                writeUint32(cue.frame);
+                writeTag('data');
+                writeUint32(0); // chunk start
+                writeUint32(0); // block start
+                writeUint32(cue.frame);
+            }
+
+            // Their labels
+            writeTag('LIST');
+            writeUint32(listSize);
+            writeTag('adtl');
+            cues.forEach((cue, index) => {
+                const label = labels[index];
+                writeTag('labl');
+                writeUint32(4 + label.length);
+                writeUint32(cue.id);
+                new Uint8Array(buffer, offset, label.length).set(label);
+                offset += label.length + ((4 + label.length) % 2);
+            });
+        }
+
+        return buffer;
+    }
+
+    teardown() {
+        if (!this.isInitialized) return;
+        this.isRecording = false;
+        try {
+            this.sourceNode.disconnect(this.captureNode);
+        } catch (error) {
+            // already detached
+        }
+        this.captureNode.disconnect();
+        this.muteNode.disconnect();
+        this.captureNode = null;
+        this.muteNode = null;
+        this.isInitialized = false;
+        console.log('Recorder torn down');
+    }
+}
+
+// Export for use in main simulator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RadioRecorder;
+} else if (typeof window !== 'undefined') {
+    window.RadioRecorder = RadioRecorder;
+}
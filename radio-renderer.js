@@ -0,0 +1,188 @@
+// Radio Renderer
+// Renders a scripted session faster than real time: a dial automation script (time and
+// position pairs, optionally switching band), a power-on time and receiver settings are
+// played through the same RadioAudio graph as the live radio (stations, noise, whistles,
+// fading, cabinet) in an OfflineAudioContext. Every random source is seeded, so the same
+// script and seed give the same samples: for trailer audio and mixer regression tests.
+//
+//   const result = await new RadioRenderer().render({
+//       seed: 1925, powerOn: 0.5, duration: 20, profile: 'two-valve', band: 'mw',
+//       dial: [{ time: 0, position: 40 }, { time: 8, position: 95 }, { time: 20, position: 95 }]
+//   });
+//   const wav = RadioRenderer.toWav(result); // with a cue per station tuned
+//
+// Programme schedules are local times of day, so renders of scheduled stations also
+// depend on the machine's time zone.
+
+// ===== CONFIGURATION VARIABLES =====
+
+const RENDER_SAMPLE_RATE = 44100;
+const RENDER_CHANNELS = 2;
+const RENDER_STEP = 0.02; // seconds between control updates (dial, mixing, fading)
+const RENDER_QUANTUM = 128; // frames the context renders between possible suspends
+const RENDER_TAIL = 2; // seconds rendered after the last dial point when no duration is given
+const RENDER_DEFAULT_SEED = 1;
+const RENDER_BROADCAST_TIME = Date.UTC(1925, 10, 1, 20, 0); // an evening in the first week
+
+// ===== RENDERER CLASS =====
+
+class RadioRenderer {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || RENDER_SAMPLE_RATE;
+        this.step = options.step || RENDER_STEP;
+
+        // The context can only suspend between render quanta
+        const minStep = RENDER_QUANTUM / this.sampleRate;
+        if (!(this.step >= minStep)) {
+            throw new Error(`Render step must be at least ${minStep.toFixed(5)}s (${RENDER_QUANTUM} frames) at ${this.sampleRate} Hz`);
+        }
+    }
+
+    // Script fields (all optional except dial):
+    //   dial           [{ time, position, band? }] in seconds; linear between points
+    //   duration       seconds (default: last dial point + RENDER_TAIL)
+    //   powerOn        seconds until the set is switched on (default 0)
+    //   seed           number or string for every random source (default 1)
+    //   broadcastTime  ms timestamp the broadcast clock starts at
+    //   band, profile, location, volume, tone, regeneration   starting settings
+    //   cabinet        RadioCabinet parameters applied over the profile's
+    // Resolves to { buffer, cues, sampleRate } where cues are { frame, time, label }.
+    async render(script) {
+        const dial = [...(script.dial || [])].sort((a, b) => a.time - b.time);
+        if (dial.length === 0) {
+            throw new Error('Render script needs at least one dial point');
+        }
+
+        const duration = script.duration !== undefined
+            ? script.duration
+            : dial[dial.length - 1].time + RENDER_TAIL;
+        const powerOn = script.powerOn || 0;
+        const rate = this.sampleRate;
+
+        const ctx = new OfflineAudioContext(RENDER_CHANNELS, Math.ceil(duration * rate), rate);
+        const startMs = script.broadcastTime !== undefined ? script.broadcastTime : RENDER_BROADCAST_TIME;
+        const clock = new BroadcastClock(undefined, () => startMs + ctx.currentTime * 1000);
+        const audio = new RadioAudio({
+            audioContext: ctx,
+            random: seededRandom(script.seed !== undefined ? script.seed : RENDER_DEFAULT_SEED),
+            clock,
+            bufferedTracks: true,
+            realtime: false
+        });
+        await audio.ready;
+        if (audio.stations.length === 0) {
+            throw new Error('Audio engine failed to initialize (see console)');
+        }
+
+        this._applySettings(audio, script);
+
+        // Let an impulse load, impulse swap or stage switch finish before time starts
+        if (audio.cabinet) {
+            await audio.cabinet.whenSettled();
+        }
+
+        const cues = [];
+        let tunedStationId = null;
+        const update = (time) => {
+            if (!audio.isPoweredOn && time >= powerOn) {
+                audio.togglePower();
+            }
+
+            const point = RadioRenderer.dialAt(dial, time);
+            if (point.band && point.band !== audio.getBand()) {
+                audio.setBand(point.band);
+            }
+            audio.dialPosition = point.position;
+            audio.advance(time);
+
+            // A cue each time the dial lands on a different station
+            const station = audio.isPoweredOn ? audio.getTunedStation() : null;
+            const stationId = station ? station.id : null;
+            if (stationId !== tunedStationId) {
+                tunedStationId = stationId;
+                if (station) {
+                    cues.push({ frame: Math.round(time * rate), time, label: station.title });
+                }
+            }
+        };
+
+        // Step the graph at every control update while the context is suspended. Suspend
+        // times round up to a render quantum, and two in the same one would be rejected.
+        update(0);
+        await audio.whenTracksReady();
+        let lastQuantum = 0;
+        for (let time = this.step; time < duration; time += this.step) {
+            const stepTime = time;
+            const quantum = Math.ceil(stepTime * rate / RENDER_QUANTUM);
+            if (quantum <= lastQuantum) continue;
+            lastQuantum = quantum;
+
+            ctx.suspend(stepTime).then(async () => {
+                try {
+                    update(stepTime);
+                    await audio.whenTracksReady();
+                } catch (error) {
+                    console.error(`Render step at ${stepTime.toFixed(2)}s failed:`, error);
+                } finally {
+                    ctx.resume();
+                }
+            }).catch(error => {
+                console.error(`Render step at ${stepTime.toFixed(2)}s could not be scheduled:`, error);
+            });
+        }
+
+        console.log(`Rendering ${duration}s offline...`);
+        const buffer = await ctx.startRendering();
+        console.log(`Render complete: ${cues.length} stations tuned`);
+        return { buffer, cues, sampleRate: rate };
+    }
+
+    _applySettings(audio, script) {
+        if (script.location && !audio.setListenerLocation(script.location)) {
+            throw new Error(`Unknown listener location: ${script.location}`);
+        }
+        if (script.profile && !audio.applyReceiverProfile(script.profile)) {
+            throw new Error(`Unknown receiver profile: ${script.profile}`);
+        }
+        if (script.band && !audio.setBand(script.band)) {
+            throw new Error(`Unknown band: ${script.band}`);
+        }
+        if (script.cabinet && audio.cabinet) {
+            audio.cabinet.configure(script.cabinet);
+        }
+        if (script.volume !== undefined) audio.setVolume(script.volume);
+        if (script.tone !== undefined) audio.setTone(script.tone);
+        if (script.regeneration !== undefined) audio.setRegeneration(script.regeneration);
+    }
+
+    // Dial position (and band) at a time: held before the first and after the last point
+    static dialAt(dial, time) {
+        if (time <= dial[0].time) return dial[0];
+        for (let i = 1; i < dial.length; i++) {
+            const from = dial[i - 1];
+            const to = dial[i];
+            if (time < to.time) {
+                const t = (time - from.time) / (to.time - from.time);
+                return { position: from.position + (to.position - from.position) * t, band: from.band };
+            }
+        }
+        return dial[dial.length - 1];
+    }
+
+    // A render result as a 16-bit WAV Blob with its cues
+    static toWav(result) {
+        const { buffer, cues, sampleRate } = result;
+        const channels = [];
+        for (let ch = 0; ch < RENDER_CHANNELS; ch++) {
+            channels.push(buffer.getChannelData(Math.min(ch, buffer.numberOfChannels - 1)));
+        }
+        return new Blob([RadioRecorder.encodeWav([channels], sampleRate, cues)], { type: 'audio/wav' });
+    }
+}
+
+// Export for use in main simulator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RadioRenderer;
+} else if (typeof window !== 'undefined') {
+    window.RadioRenderer = RadioRenderer;
+}
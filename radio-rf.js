@@ -0,0 +1,171 @@
+// Radio RF
+// Optional "RF mode": each station is amplitude-modulated onto a virtual carrier, passed
+// through the receiver's selectivity and recovered by an envelope detector. Mistuning
+// shifts the passband off the carrier, so instead of simply getting quieter a station
+// loses a sideband (treble loss), distorts asymmetrically and breaks up in the detector.
+// It costs an oscillator, a waveshaper and a handful of filters per station, so the cheap
+// Gaussian mixer in RadioAudio stays the default.
+
+// ===== CONFIGURATION VARIABLES =====
+
+const RF_CARRIER_HZ = 10000; // virtual IF carrier; sidebands must stay below Nyquist
+const RF_HZ_PER_UNIT = 3000; // detuning per dial unit of offset
+const RF_BANDWIDTH_PER_SIGMA = 5000; // Hz of passband per unit of station sigma
+const RF_AUDIO_CUTOFF = 4500; // programme bandwidth (pre-modulation and post-detection)
+const RF_MODULATION_DEPTH = 0.8; // 0..1 normal, above 1 overmodulates
+const RF_DIODE_KNEE = 0.05; // detector diode knee; distorts the troughs of deep modulation
+const RF_GATE_WIDTH = 4; // stations beyond this many sigma are muted entirely
+const RF_RAMP_TIME = 0.03; // seconds, detune smoothing
+
+// ===== RF CLASS =====
+
+class RadioRF {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.chains = new Map(); // stationId -> chain
+        this.carrierHz = RF_CARRIER_HZ;
+        this.hzPerUnit = RF_HZ_PER_UNIT;
+        this.bandwidthPerSigma = RF_BANDWIDTH_PER_SIGMA;
+        this.modulationDepth = RF_MODULATION_DEPTH;
+        this.gateWidth = RF_GATE_WIDTH;
+        this.detectorCurve = this.makeDetectorCurve(RF_DIODE_KNEE);
+    }
+
+    // Diode envelope detector: half-wave rectifier with a soft knee near zero
+    makeDetectorCurve(knee = RF_DIODE_KNEE) {
+        const n = 4096;
+        const curve = new Float32Array(n);
+        for (let i = 0; i < n; i++) {
+            const x = i * 2 / n - 1;
+            curve[i] = x > 0 ? x - knee * (1 - Math.exp(-x / knee)) : 0;
+        }
+        return curve;
+    }
+
+    // Build (once) the modulate -> select -> detect chain for a station, with a passband
+    // for its sigma on this set (RadioAudio.getEffectiveSigma).
+    // Returns { input, output }: connect the station's source to input and output onward.
+    getChain(station, sigma = station.sigma) {
+        if (this.chains.has(station.id)) return this.chains.get(station.id);
+
+        const ctx = this.audioContext;
+
+        // Band-limit the programme so the sidebands stay clear of DC and Nyquist
+        const input = ctx.createBiquadFilter();
+        input.type = 'lowpass';
+        input.frequency.value = RF_AUDIO_CUTOFF;
+
+        // Modulator: carrier * (1 + m * audio)
+        const carrier = ctx.createOscillator();
+        carrier.type = 'sine';
+        carrier.frequency.value = this.carrierHz;
+        const modulator = ctx.createGain();
+        modulator.gain.value = 1;
+        const depth = ctx.createGain();
+        depth.gain.value = this.modulationDepth;
+        input.connect(depth);
+        depth.connect(modulator.gain);
+        carrier.connect(modulator);
+        carrier.start();
+
+        // Receiver selectivity: two tuned circuits centred on where the dial is
+        const tuned1 = ctx.createBiquadFilter();
+        const tuned2 = ctx.createBiquadFilter();
+        for (const filter of [tuned1, tuned2]) {
+            filter.type = 'bandpass';
+            filter.frequency.value = this.carrierHz;
+            filter.Q.value = this._passbandQ(sigma);
+        }
+        modulator.connect(tuned1);
+        tuned1.connect(tuned2);
+
+        // Envelope detector, then strip the carrier ripple and the DC
+        const detector = ctx.createWaveShaper();
+        detector.curve = this.detectorCurve;
+        detector.oversample = '4x';
+        const audioFilter = ctx.createBiquadFilter();
+        audioFilter.type = 'lowpass';
+        audioFilter.frequency.value = RF_AUDIO_CUTOFF;
+        const rippleFilter = ctx.createBiquadFilter();
+        rippleFilter.type = 'lowpass';
+        rippleFilter.frequency.value = RF_AUDIO_CUTOFF;
+        const dcBlock = ctx.createBiquadFilter();
+        dcBlock.type = 'highpass';
+        dcBlock.frequency.value = 40;
+
+        // Half-wave detection recovers m/pi of the programme; restore its level
+        const output = ctx.createGain();
+        output.gain.value = Math.PI / Math.max(0.1, this.modulationDepth);
+
+        tuned2.connect(detector);
+        detector.connect(audioFilter);
+        audioFilter.connect(rippleFilter);
+        rippleFilter.connect(dcBlock);
+        dcBlock.connect(output);
+
+        const chain = { input, output, carrier, depth, tuned: [tuned1, tuned2] };
+        this.chains.set(station.id, chain);
+        console.debug(`RF chain created for station: ${station.id}`);
+        return chain;
+    }
+
+    // Q of each tuned circuit for a passband of bandwidthPerSigma Hz per unit of sigma
+    _passbandQ(sigma) {
+        return this.carrierHz / (this.bandwidthPerSigma * (sigma || 1));
+    }
+
+    // Move the passband to follow the dial: offset in dial units from the station. With a
+    // sigma, also follow the set's selectivity (receiver profile, reaction).
+    setDetune(stationId, offset, sigma) {
+        const chain = this.chains.get(stationId);
+        if (!chain) return;
+
+        const frequency = Math.max(500, this.carrierHz + offset * this.hzPerUnit);
+        const now = this.audioContext.currentTime;
+        for (const filter of chain.tuned) {
+            filter.frequency.setTargetAtTime(frequency, now, RF_RAMP_TIME);
+            if (sigma !== undefined) {
+                filter.Q.setTargetAtTime(this._passbandQ(sigma), now, RF_RAMP_TIME);
+            }
+        }
+    }
+
+    // Gain for a station in RF mode. Selectivity and detection do the tuning; this only
+    // applies strength and mutes stations too far away to matter.
+    calculateStationGain(station, dialPosition, strength, sigma = station.sigma) {
+        const distance = Math.abs(dialPosition - station.position);
+        const gate = sigma * this.gateWidth;
+        return distance > gate ? 0 : strength;
+    }
+
+    setModulationDepth(depth) {
+        this.modulationDepth = Math.max(0.1, Math.min(1.5, depth));
+        const now = this.audioContext.currentTime;
+        for (const chain of this.chains.values()) {
+            chain.depth.gain.setTargetAtTime(this.modulationDepth, now, RF_RAMP_TIME);
+            chain.output.gain.setTargetAtTime(Math.PI / this.modulationDepth, now, RF_RAMP_TIME);
+        }
+    }
+
+    getModulationDepth() {
+        return this.modulationDepth;
+    }
+
+    teardown() {
+        for (const chain of this.chains.values()) {
+            chain.carrier.stop();
+            chain.carrier.disconnect();
+            chain.input.disconnect();
+            chain.output.disconnect();
+        }
+        this.chains.clear();
+        console.log('RF chains torn down');
+    }
+}
+
+// Export for use in main simulator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RadioRF;
+} else if (typeof window !== 'undefined') {
+    window.RadioRF = RadioRF;
+}
@@ -0,0 +1,317 @@
+// Radio Scanner
+// Seek and scan tuning for listeners who find the fine drag hard. The dial sweeps across
+// the band, sampling the received signal (RadioAudio.calculateStationVolume, strongest
+// audible station) every SCANNER_STEP degrees, and stops where it peaks above the
+// threshold. Seek stops there; scan dwells for a while and then carries on. Both wrap
+// round at the ends of the dial and give up after a whole sweep with nothing found.
+// Glides (to presets) turn the dial the same way, so the whistles and interference
+// between here and there are heard rather than jumped over.
+// Touching the dial (any 'dial-changed' the scanner didn't cause) cancels the sweep.
+//
+//   scanner.seek(1);       // up the band to the next station
+//   scanner.scan();        // keep going, dwellTime on each station
+//   scanner.glideTo(42.5); // turn smoothly to a dial position
+//   scanner.stop();
+
+// ===== CONFIGURATION VARIABLES =====
+
+const SCANNER_SEEK_SPEED = 30; // degrees per second while seeking
+const SCANNER_SCAN_SPEED = 8; // degrees per second while scanning
+const SCANNER_GLIDE_SPEED = 40; // degrees per second gliding to a preset
+const SCANNER_THRESHOLD = 0.2; // received signal a peak must reach to stop on
+const SCANNER_DWELL_MS = 5000; // time scan spends on each station
+const SCANNER_STEP = 0.1; // degrees between signal samples
+const SCANNER_MIN_MOVE = 0.5; // degrees; a peak closer than this to the start is the station we left
+const SCANNER_MAX_FRAME_MS = 100; // a late frame (background tab) doesn't jump the dial
+
+// ===== SCANNER CLASS =====
+
+class RadioScanner {
+    // dial: { getDialPosition(), setDialPosition(position) }, e.g. the RadioUI
+    constructor(audio, dial, events) {
+        this.audio = audio;
+        this.dial = dial;
+        this.events = events;
+
+        this.threshold = SCANNER_THRESHOLD;
+        this.dwellTime = SCANNER_DWELL_MS;
+        this.seekSpeed = SCANNER_SEEK_SPEED;
+        this.scanSpeed = SCANNER_SCAN_SPEED;
+        this.glideSpeed = SCANNER_GLIDE_SPEED;
+
+        this.mode = null; // 'seek', 'scan' or 'glide' while the dial is moving
+        this.direction = 1; // 1 up the band, -1 down
+        this.frameId = null;
+        this.dwellTimeout = null;
+        this.lastFrameTime = null;
+        this.movingDial = false; // true while the scanner itself turns the dial
+
+        // Sweep state
+        this.position = 0;
+        this.lastSignal = null;
+        this.peakStart = null; // where the signal last rose, while rising
+        this.travelled = 0;
+        this.target = null; // glide destination
+
+        this.events.on(RADIO_EVENTS.DIAL_CHANGED, () => {
+            if (this.mode && !this.movingDial) {
+                this.stop();
+            }
+        });
+        this.events.on(RADIO_EVENTS.POWER_OFF, () => this.stop());
+    }
+
+    // ===== CONTROLS =====
+
+    // Sweep to the next station up (1) or down (-1) the band and stop there
+    seek(direction = 1) {
+        return this._start('seek', direction);
+    }
+
+    // Sweep continuously, dwelling on each station found
+    scan(direction = 1) {
+        return this._start('scan', direction);
+    }
+
+    // Turn the dial smoothly to a position (0-180)
+    glideTo(position) {
+        const target = Math.max(0, Math.min(180, position));
+        if (!this._start('glide', target < this.dial.getDialPosition() ? -1 : 1)) {
+            return false;
+        }
+        this.target = target;
+        return true;
+    }
+
+    toggleScan() {
+        if (this.mode === 'scan') {
+            this.stop();
+            return false;
+        }
+        return this.scan(this.direction);
+    }
+
+    stop() {
+        if (!this.mode) return;
+        this._cancelTimers();
+        this.mode = null;
+        console.log('Scanner stopped');
+        this._emitState(null);
+    }
+
+    getMode() {
+        return this.mode;
+    }
+
+    setThreshold(value) {
+        this.threshold = Math.max(0.01, Math.min(1, value));
+    }
+
+    getThreshold() {
+        return this.threshold;
+    }
+
+    setDwellTime(ms) {
+        this.dwellTime = Math.max(0, ms);
+    }
+
+    getDwellTime() {
+        return this.dwellTime;
+    }
+
+    setSeekSpeed(degreesPerSecond) {
+        this.seekSpeed = Math.max(1, degreesPerSecond);
+    }
+
+    setScanSpeed(degreesPerSecond) {
+        this.scanSpeed = Math.max(1, degreesPerSecond);
+    }
+
+    setGlideSpeed(degreesPerSecond) {
+        this.glideSpeed = Math.max(1, degreesPerSecond);
+    }
+
+    // Received signal at a dial position: the strongest station that is on the air
+    getSignal(position) {
+        let signal = 0;
+        for (const station of this.audio.getBandStations()) {
+            const status = this.audio.getStationStatus(station.id);
+            if (status !== 'on-air' && status !== 'interval') continue;
+            signal = Math.max(signal, this.audio.calculateStationVolume(station, position));
+        }
+        return signal;
+    }
+
+    // ===== SWEEP =====
+
+    _start(mode, direction) {
+        if (!this.audio.isPoweredOn) {
+            console.log('Scanner: radio is off');
+            return false;
+        }
+
+        this._cancelTimers();
+        this.mode = mode;
+        this.direction = direction < 0 ? -1 : 1;
+        this._resetSweep(this.dial.getDialPosition());
+        console.log(`Scanner: ${mode} ${this.direction > 0 ? 'up' : 'down'}`);
+        this._emitState(null);
+        this._requestFrame();
+        return true;
+    }
+
+    _resetSweep(position) {
+        this.position = position;
+        this.lastSignal = this.getSignal(position);
+        this.peakStart = null;
+        this.travelled = 0;
+        this.lastFrameTime = null;
+    }
+
+    _requestFrame() {
+        const frame = (time) => this._frame(time);
+        this.frameId = typeof requestAnimationFrame === 'function'
+            ? requestAnimationFrame(frame)
+            : setTimeout(() => frame(Date.now()), 16);
+    }
+
+    _frame(time) {
+        this.frameId = null;
+        if (!this.mode) return;
+
+        const elapsed = this.lastFrameTime === null ? 0 : Math.min(time - this.lastFrameTime, SCANNER_MAX_FRAME_MS);
+        this.lastFrameTime = time;
+
+        if (this.mode === 'glide') {
+            this._glide(this.glideSpeed * elapsed / 1000);
+            return;
+        }
+
+        const speed = this.mode === 'seek' ? this.seekSpeed : this.scanSpeed;
+        const peak = this._sweep(speed * elapsed / 1000);
+        if (peak !== null) {
+            this._stopOnPeak(peak);
+            return;
+        }
+
+        this._moveDial(this.position);
+        if (this.travelled > 180 + SCANNER_MIN_MOVE) {
+            console.log('Scanner: no stations found');
+            this.mode = null;
+            this._emitState(null, false);
+            return;
+        }
+        this._requestFrame();
+    }
+
+    _glide(distance) {
+        const remaining = this.target - this.position;
+        if (Math.abs(remaining) <= distance) {
+            this._moveDial(this.target);
+            this.mode = null;
+            this._emitState(this.target);
+            return;
+        }
+        this.position += Math.sign(remaining) * distance;
+        this._moveDial(this.position);
+        this._requestFrame();
+    }
+
+    // Move up to distance degrees; returns a peak's position, or null if none was passed
+    _sweep(distance) {
+        const steps = Math.max(1, Math.round(distance / SCANNER_STEP));
+        for (let i = 0; i < steps; i++) {
+            const next = this.position + this.direction * SCANNER_STEP;
+
+            // Wrap round to the other end of the dial
+            if (next < 0 || next > 180) {
+                this.position = this.direction > 0 ? 0 : 180;
+                this.lastSignal = this.getSignal(this.position);
+                this.peakStart = null;
+                continue;
+            }
+
+            const signal = this.getSignal(next);
+            if (signal > this.lastSignal) {
+                this.peakStart = next;
+            } else if (signal < this.lastSignal && this.peakStart !== null) {
+                // Just passed a peak (or the plateau of a station strong enough to clip)
+                const peak = (this.peakStart + this.position) / 2;
+                const peakSignal = this.lastSignal;
+                this.peakStart = null;
+                if (peakSignal >= this.threshold && this.travelled >= SCANNER_MIN_MOVE) {
+                    return Math.round(peak * 100) / 100;
+                }
+            }
+
+            this.lastSignal = signal;
+            this.position = next;
+            this.travelled += SCANNER_STEP;
+        }
+        return null;
+    }
+
+    _stopOnPeak(position) {
+        this._moveDial(position);
+        const station = this.audio.getTunedStation(position);
+        console.log(`Scanner: stopped at ${position.toFixed(1)}°${station ? ` (${station.title})` : ''}`);
+
+        if (this.mode === 'seek') {
+            this.mode = null;
+            this._emitState(position, true);
+            return;
+        }
+
+        // Scan: listen for a while, then carry on from here
+        this._emitState(position, true);
+        this.dwellTimeout = setTimeout(() => {
+            this.dwellTimeout = null;
+            if (this.mode !== 'scan') return;
+            this._resetSweep(position);
+            this._emitState(null);
+            this._requestFrame();
+        }, this.dwellTime);
+    }
+
+    _moveDial(position) {
+        this.movingDial = true;
+        try {
+            this.dial.setDialPosition(position);
+        } finally {
+            this.movingDial = false;
+        }
+    }
+
+    _cancelTimers() {
+        if (this.frameId !== null) {
+            if (typeof cancelAnimationFrame === 'function') {
+                cancelAnimationFrame(this.frameId);
+            } else {
+                clearTimeout(this.frameId);
+            }
+            this.frameId = null;
+        }
+        if (this.dwellTimeout) {
+            clearTimeout(this.dwellTimeout);
+            this.dwellTimeout = null;
+        }
+    }
+
+    // found: true when stopping on a station, false after a sweep found nothing
+    _emitState(position, found = null) {
+        this.events.emit(RADIO_EVENTS.SCAN_STATE, {
+            mode: this.mode,
+            direction: this.direction,
+            dwelling: this.mode === 'scan' && position !== null,
+            position,
+            found
+        });
+    }
+}
+
+// Export for use in main simulator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RadioScanner;
+} else if (typeof window !== 'undefined') {
+    window.RadioScanner = RadioScanner;
+}
@@ -0,0 +1,210 @@
+// Radio Tuning Indicator
+// A "magic eye" tuning tube (after the EM34 of the 1930s): a green fluorescent fan round a
+// dark cap, whose shadow closes as the set is tuned onto a station. The eye is driven by the
+// mixer (RadioAudio.getTuningLevels: the strongest carrier at the dial and the ether noise
+// level, as set by updateMixing), with the programme itself read from an AnalyserNode tap on
+// the output so the shadow flickers with the sound, more so off-station in the noise.
+// Like a real tube, the shadow has ballistics: it closes quickly and opens slowly.
+//
+//   const eye = new RadioTuningIndicator(audio, canvas, events);
+//   // lights on 'power-on', goes dark on 'power-off'
+//   eye.getLevel(); // 0 (shadow wide open) to 1 (closed: centred on a strong station)
+
+// ===== CONFIGURATION VARIABLES =====
+
+const INDICATOR_ATTACK_MS = 60; // time constant as the shadow closes
+const INDICATOR_RELEASE_MS = 350; // time constant as it opens again
+const INDICATOR_PROGRAMME_MS = 1500; // time constant of the programme's average loudness
+const INDICATOR_RIPPLE = 0.08; // how far loud and quiet passages move the shadow
+const INDICATOR_MAX_SHADOW = 100; // degrees of shadow with no signal
+const INDICATOR_MIN_SHADOW = 4; // degrees left when fully tuned
+const INDICATOR_FFT_SIZE = 1024; // analyser samples read each frame
+const INDICATOR_MAX_FRAME_MS = 100; // a late frame (background tab) doesn't jump the shadow
+
+// ===== TUNING INDICATOR CLASS =====
+
+class RadioTuningIndicator {
+    constructor(audio, canvas, events) {
+        this.audio = audio;
+        this.canvas = canvas;
+        this.events = events;
+        this.context = canvas ? canvas.getContext('2d') : null; // null: nothing to draw on
+
+        this.analyser = null; // tap on the audio output, created when the set is first switched on
+        this.samples = null;
+        this.frameId = null;
+        this.lastFrameTime = null;
+
+        this.level = 0; // displayed level, after ballistics
+        this.programmeLevel = 0; // running average of the programme RMS
+
+        this._scaleCanvas();
+        this.draw();
+
+        this.events.on(RADIO_EVENTS.POWER_ON, () => this.start());
+        this.events.on(RADIO_EVENTS.POWER_OFF, () => this.stop());
+    }
+
+    getLevel() {
+        return this.level;
+    }
+
+    // ===== ANIMATION =====
+
+    start() {
+        if (this.frameId !== null) return;
+        this._connect();
+        this.lastFrameTime = null;
+        this._requestFrame();
+        console.log('Tuning indicator on');
+    }
+
+    // Stop animating and let the eye go dark
+    stop() {
+        if (this.frameId !== null) {
+            if (typeof cancelAnimationFrame === 'function') {
+                cancelAnimationFrame(this.frameId);
+            } else {
+                clearTimeout(this.frameId);
+            }
+            this.frameId = null;
+        }
+        this.level = 0;
+        this.programmeLevel = 0;
+        this.draw();
+    }
+
+    _connect() {
+        if (this.analyser || !this.audio.audioContext || !this.audio.outputBus) return;
+
+        this.analyser = this.audio.audioContext.createAnalyser();
+        this.analyser.fftSize = INDICATOR_FFT_SIZE;
+        this.samples = new Float32Array(this.analyser.fftSize);
+        this.audio.outputBus.connect(this.analyser); // a tap: the analyser has no output
+    }
+
+    _requestFrame() {
+        const frame = (time) => this._frame(time);
+        this.frameId = typeof requestAnimationFrame === 'function'
+            ? requestAnimationFrame(frame)
+            : setTimeout(() => frame(Date.now()), 16);
+    }
+
+    _frame(time) {
+        const elapsed = this.lastFrameTime === null ? 0 : Math.min(time - this.lastFrameTime, INDICATOR_MAX_FRAME_MS);
+        this.lastFrameTime = time;
+
+        this.update(elapsed);
+        this.draw();
+        this._requestFrame();
+    }
+
+    // Move the displayed level towards the mixer's, elapsed ms after the last update
+    update(elapsed) {
+        const { signal, ether } = this.audio.getTuningLevels();
+
+        // Loud and quiet passages relative to the programme's average, so the volume knob
+        // doesn't move the eye; noise off-station makes it flicker more than a clear signal
+        const rms = this._readRms();
+        this.programmeLevel += (rms - this.programmeLevel) * this._smoothing(elapsed, INDICATOR_PROGRAMME_MS);
+        const ripple = this.programmeLevel > 1e-4
+            ? Math.max(-1, Math.min(1, rms / this.programmeLevel - 1)) * INDICATOR_RIPPLE * (signal + ether)
+            : 0;
+
+        const target = Math.max(0, Math.min(1, signal + ripple));
+        const timeConstant = target > this.level ? INDICATOR_ATTACK_MS : INDICATOR_RELEASE_MS;
+        this.level += (target - this.level) * this._smoothing(elapsed, timeConstant);
+        return this.level;
+    }
+
+    // Fraction of the way to the target covered in elapsed ms
+    _smoothing(elapsed, timeConstant) {
+        return 1 - Math.exp(-elapsed / timeConstant);
+    }
+
+    _readRms() {
+        if (!this.analyser) return 0;
+
+        this.analyser.getFloatTimeDomainData(this.samples);
+        let sum = 0;
+        for (let i = 0; i < this.samples.length; i++) {
+            sum += this.samples[i] * this.samples[i];
+        }
+        return Math.sqrt(sum / this.samples.length);
+    }
+
+    // ===== DRAWING =====
+
+    // Draw at the screen's pixel density
+    _scaleCanvas() {
+        if (!this.context || typeof window === 'undefined') return;
+
+        const ratio = window.devicePixelRatio || 1;
+        this.width = this.canvas.width;
+        this.height = this.canvas.height;
+        this.canvas.width = this.width * ratio;
+        this.canvas.height = this.height * ratio;
+        this.context.scale(ratio, ratio);
+    }
+
+    draw() {
+        if (!this.context) return;
+
+        const ctx = this.context;
+        const width = this.width || this.canvas.width;
+        const height = this.height || this.canvas.height;
+        const cx = width / 2;
+        const cy = height / 2;
+        const radius = Math.min(width, height) / 2 - 2;
+        const lit = this.frameId !== null;
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Tube face
+        const face = ctx.createRadialGradient(cx, cy, radius * 0.2, cx, cy, radius);
+        face.addColorStop(0, '#0B140B');
+        face.addColorStop(1, '#050805');
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.fillStyle = face;
+        ctx.fill();
+
+        if (lit) {
+            // Green fan all round except the shadow, which is centred at the top
+            const shadow = (INDICATOR_MAX_SHADOW - (INDICATOR_MAX_SHADOW - INDICATOR_MIN_SHADOW) * this.level) * Math.PI / 180;
+            const glow = ctx.createRadialGradient(cx, cy, radius * 0.3, cx, cy, radius);
+            glow.addColorStop(0, 'rgba(120, 255, 140, 0.95)');
+            glow.addColorStop(0.7, 'rgba(60, 200, 90, 0.8)');
+            glow.addColorStop(1, 'rgba(30, 120, 50, 0.5)');
+            ctx.beginPath();
+            ctx.moveTo(cx, cy);
+            ctx.arc(cx, cy, radius * 0.95, -Math.PI / 2 + shadow / 2, Math.PI * 1.5 - shadow / 2);
+            ctx.closePath();
+            ctx.fillStyle = glow;
+            ctx.fill();
+        }
+
+        // Cap over the cathode
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius * 0.32, 0, Math.PI * 2);
+        ctx.fillStyle = '#111';
+        ctx.fill();
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        // Rim
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.strokeStyle = '#444';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+}
+
+// Export for use in main simulator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RadioTuningIndicator;
+} else if (typeof window !== 'undefined') {
+    window.RadioTuningIndicator = RadioTuningIndicator;
+}
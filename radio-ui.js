@@ -1,10 +1,40 @@
 class RadioUI {
-    constructor() {
+    // events: the RadioEventBus dial changes are published on (see radio-events.js)
+    constructor(events) {
+        this.events = events;
         this.dialPosition = 90; // Start at center (90 degrees)
         this.draggingDial = false;
-        this.onDialChange = null; // Callback for when dial changes
+        
+        // Rotary knobs beside the dial: name -> { element, cap, value, min, max, step }
+        this.knobs = new Map();
+        this.draggingKnob = null;
+        this.onKnobChange = null; // Callback (name, value) for when a knob turns
+        
+        // Waveband switch, filled in once the bands are known
+        this.activeBand = null;
+        this.onBandChange = null; // Callback (bandId) for when a band button is pressed
+        this.onProfileChange = null; // Callback (profileId) for when another receiver is chosen
+        this.onRecordToggle = null; // Callback () for when the record button is pressed
+        this.onGameAction = null; // Callback (action, value) from the game panel
+        this.onTuningAction = null; // Callback (action) for seek and scan: 'seek-down', 'seek-up', 'scan'
+        this.onPresetAction = null; // Callback (action, index): 'recall' on a press, 'store' on a long press
+        this.onCopyLink = null; // Callback () for the link button
+        this.presetHoldMs = 700; // how long a press must be to store
+        
+        // Dial pointer brightens from grey to white as a new station is discovered
+        this.discoveryAnimationMs = 15000;
+        this.discoveryAnimationId = null;
+        this.pointerOnStation = false;
         
         this.setupEventListeners();
+        this.subscribeToEvents();
+    }
+
+    // The dial pointer follows the stations the engine reports
+    subscribeToEvents() {
+        this.events.on(RADIO_EVENTS.STATION_ENTERED, () => this.setPointerOnStation(true));
+        this.events.on(RADIO_EVENTS.STATION_LEFT, () => this.setPointerOnStation(false));
+        this.events.on(RADIO_EVENTS.STATION_DISCOVERED, () => this.startDiscoveryAnimation());
     }
 
     setupEventListeners() {
@@ -23,17 +53,667 @@ class RadioUI {
         mainDial.addEventListener('touchstart', (e) => this.startDialDrag(e), { passive: false });
         document.addEventListener('touchmove', (e) => this.handleTouchDrag(e), { passive: false });
         document.addEventListener('touchend', () => this.stopDialDrag(), { passive: true });
+        
+        // Knobs: reaction (regeneration), tone and volume
+        this.setupKnob('reactionKnob', 'reaction', { value: 0 });
+        this.setupKnob('toneKnob', 'tone', { value: 0.5 });
+        this.setupKnob('volumeKnob', 'volume', { value: 1 });
+        
+        // Knob dragging is tracked at document level like the dial
+        document.addEventListener('mousemove', (e) => this.handleKnobDrag(e));
+        document.addEventListener('mouseup', () => this.stopKnobDrag());
+        document.addEventListener('touchmove', (e) => this.handleKnobDrag(e), { passive: false });
+        document.addEventListener('touchend', () => this.stopKnobDrag(), { passive: true });
+        
+        // Session recorder
+        const recordBtn = document.getElementById('recordBtn');
+        if (recordBtn) {
+            recordBtn.addEventListener('click', () => {
+                if (this.onRecordToggle) {
+                    this.onRecordToggle();
+                }
+            });
+        }
+        
+        // Logbook panel (also the L key)
+        const logbookBtn = document.getElementById('logbookBtn');
+        if (logbookBtn) {
+            logbookBtn.addEventListener('click', () => this.toggleLogbook());
+        }
+        const logbookClose = document.getElementById('logbookClose');
+        if (logbookClose) {
+            logbookClose.addEventListener('click', () => this.toggleLogbook(false));
+        }
+        
+        // Copy a link to this station
+        const linkBtn = document.getElementById('linkBtn');
+        if (linkBtn) {
+            linkBtn.addEventListener('click', () => {
+                if (this.onCopyLink) {
+                    this.onCopyLink();
+                }
+            });
+        }
+        
+        // Seek and scan buttons (also Shift+arrows and the S key)
+        document.querySelectorAll('.tuning-button').forEach(button => {
+            button.addEventListener('click', () => this._tuningAction(button.dataset.action));
+        });
+        
+        // Game panel: the GAME button opens it on the setup screen
+        const gameBtn = document.getElementById('gameBtn');
+        if (gameBtn) {
+            gameBtn.addEventListener('click', () => this._gameAction('open'));
+        }
+        const gameStart = document.getElementById('gameStart');
+        if (gameStart) {
+            gameStart.addEventListener('click', () => this._gameAction('start', {
+                difficulty: document.getElementById('gameDifficulty').value,
+                rounds: parseInt(document.getElementById('gameRounds').value, 10)
+            }));
+        }
+        const gameNext = document.getElementById('gameNext');
+        if (gameNext) {
+            gameNext.addEventListener('click', () => this._gameAction('next'));
+        }
+        const gameAgain = document.getElementById('gameAgain');
+        if (gameAgain) {
+            gameAgain.addEventListener('click', () => this._gameAction('open'));
+        }
+        document.querySelectorAll('.game-quit').forEach(button => {
+            button.addEventListener('click', () => this._gameAction('quit'));
+        });
+    }
+
+    // Turn an element into a rotary knob with drag, touch and keyboard control.
+    // The element should contain a .knob-cap, which is what rotates.
+    setupKnob(elementId, name, options = {}) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+        
+        const knob = {
+            element,
+            cap: element.querySelector('.knob-cap') || element,
+            min: options.min !== undefined ? options.min : 0,
+            max: options.max !== undefined ? options.max : 1,
+            step: options.step !== undefined ? options.step : 0.02, // per key press
+            value: 0,
+            enabled: true
+        };
+        this.knobs.set(name, knob);
+        
+        element.tabIndex = 0;
+        element.setAttribute('role', 'slider');
+        element.setAttribute('aria-valuemin', knob.min);
+        element.setAttribute('aria-valuemax', knob.max);
+        
+        element.addEventListener('mousedown', (e) => this.startKnobDrag(e, name));
+        element.addEventListener('touchstart', (e) => this.startKnobDrag(e, name), { passive: false });
+        element.addEventListener('keydown', (e) => this.handleKnobKey(e, name));
+        
+        this.setKnobValue(name, options.value !== undefined ? options.value : knob.min, false);
+    }
+
+    startKnobDrag(event, name) {
+        event.preventDefault();
+        event.stopPropagation();
+        const knob = this.knobs.get(name);
+        if (!knob.enabled) return;
+        const point = event.type === 'mousedown' ? event : event.touches[0];
+        knob.element.focus();
+        this.draggingKnob = {
+            name,
+            startX: point.clientX,
+            startY: point.clientY,
+            startValue: knob.value
+        };
+    }
+
+    handleKnobDrag(event) {
+        if (!this.draggingKnob) return;
+        
+        event.preventDefault();
+        const point = event.type === 'mousemove' ? event : event.touches[0];
+        const knob = this.knobs.get(this.draggingKnob.name);
+        
+        // Dragging up or to the right turns the knob clockwise; 200px covers its full travel
+        const delta = (point.clientX - this.draggingKnob.startX) - (point.clientY - this.draggingKnob.startY);
+        const sensitivity = (knob.max - knob.min) / 200;
+        this.setKnobValue(this.draggingKnob.name, this.draggingKnob.startValue + delta * sensitivity);
+    }
+
+    stopKnobDrag() {
+        this.draggingKnob = null;
+    }
+
+    handleKnobKey(event, name) {
+        const knob = this.knobs.get(name);
+        if (!knob.enabled) return;
+        let value = null;
+        switch(event.key) {
+            case 'ArrowUp':
+            case 'ArrowRight':
+                value = knob.value + knob.step;
+                break;
+            case 'ArrowDown':
+            case 'ArrowLeft':
+                value = knob.value - knob.step;
+                break;
+            case 'Home':
+                value = knob.min;
+                break;
+            case 'End':
+                value = knob.max;
+                break;
+            default:
+                return;
+        }
+        // Keep the arrow keys from also moving the tuning dial
+        event.preventDefault();
+        event.stopPropagation();
+        this.setKnobValue(name, value);
+    }
+
+    setKnobValue(name, value, notify = true) {
+        const knob = this.knobs.get(name);
+        if (!knob) return;
+        
+        knob.value = Math.max(knob.min, Math.min(knob.max, value));
+        
+        // Knobs sweep 270 degrees, from 7 o'clock to 5 o'clock
+        const fraction = (knob.value - knob.min) / (knob.max - knob.min);
+        knob.cap.style.transform = `rotate(${fraction * 270 - 135}deg)`;
+        knob.element.setAttribute('aria-valuenow', knob.value.toFixed(2));
+        
+        if (notify && this.onKnobChange) {
+            this.onKnobChange(name, knob.value);
+        }
+    }
+
+    // A disabled knob is greyed out and ignores input (e.g. reaction on a crystal set)
+    setKnobEnabled(name, enabled) {
+        const knob = this.knobs.get(name);
+        if (!knob) return;
+        knob.enabled = enabled;
+        knob.element.classList.toggle('disabled', !enabled);
+        knob.element.setAttribute('aria-disabled', !enabled);
+    }
+
+    getKnobValue(name) {
+        const knob = this.knobs.get(name);
+        return knob ? knob.value : null;
+    }
+
+    setKnobChangeCallback(callback) {
+        this.onKnobChange = callback;
+    }
+
+    // One button per band in #bandSwitch; bands are { id, name }
+    setupBandSwitch(bands, activeBandId) {
+        const container = document.getElementById('bandSwitch');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        for (const band of bands) {
+            const button = document.createElement('button');
+            button.className = 'band-button';
+            button.dataset.band = band.id;
+            button.textContent = band.id.toUpperCase();
+            button.title = band.name;
+            button.addEventListener('click', () => {
+                if (this.onBandChange) {
+                    this.onBandChange(band.id);
+                }
+            });
+            container.appendChild(button);
+        }
+        this.setActiveBand(activeBandId);
+    }
+
+    setActiveBand(bandId) {
+        this.activeBand = bandId;
+        document.querySelectorAll('#bandSwitch .band-button').forEach(button => {
+            const active = button.dataset.band === bandId;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active);
+        });
+    }
+
+    getActiveBand() {
+        return this.activeBand;
+    }
+
+    setBandChangeCallback(callback) {
+        this.onBandChange = callback;
+    }
+
+    // Fill #profileSelect with the receiver profiles ({ id, name, description })
+    setupProfileSelector(profiles, activeProfileId) {
+        const select = document.getElementById('profileSelect');
+        if (!select) return;
+        
+        select.innerHTML = '';
+        for (const profile of profiles) {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.title = profile.description;
+            select.appendChild(option);
+        }
+        select.value = activeProfileId || '';
+        select.onchange = () => {
+            if (this.onProfileChange) {
+                this.onProfileChange(select.value);
+            }
+        };
+    }
+
+    setActiveProfile(profileId) {
+        const select = document.getElementById('profileSelect');
+        if (select) {
+            select.value = profileId;
+        }
+    }
+
+    setProfileChangeCallback(callback) {
+        this.onProfileChange = callback;
+    }
+
+    // Show whether the session is being recorded
+    setRecording(isRecording) {
+        const recordBtn = document.getElementById('recordBtn');
+        if (!recordBtn) return;
+        recordBtn.classList.toggle('recording', isRecording);
+        recordBtn.setAttribute('aria-pressed', isRecording);
+        recordBtn.textContent = isRecording ? '■ STOP' : '● REC';
+    }
+
+    setRecordCallback(callback) {
+        this.onRecordToggle = callback;
+    }
+
+    setCopyLinkCallback(callback) {
+        this.onCopyLink = callback;
+    }
+
+    // Show or hide the logbook panel (toggles when open isn't given)
+    toggleLogbook(open) {
+        const panel = document.getElementById('logbookPanel');
+        if (!panel) return;
+        const show = open !== undefined ? open : panel.classList.contains('hidden');
+        panel.classList.toggle('hidden', !show);
+        const logbookBtn = document.getElementById('logbookBtn');
+        if (logbookBtn) {
+            logbookBtn.setAttribute('aria-expanded', show);
+        }
+    }
+
+    // Fill the logbook panel. rows are { station, entry } with entry null for stations
+    // not yet heard; heard ones are listed first, in order of discovery.
+    renderLogbook(rows) {
+        const heardList = document.getElementById('logbookHeard');
+        const unheardList = document.getElementById('logbookUnheard');
+        if (!heardList || !unheardList) return;
+        
+        const heard = rows.filter(row => row.entry).sort((a, b) => a.entry.firstHeard - b.entry.firstHeard);
+        const unheard = rows.filter(row => !row.entry);
+        
+        heardList.innerHTML = '';
+        unheardList.innerHTML = '';
+        for (const row of heard) {
+            heardList.appendChild(this._createLogbookItem(row));
+        }
+        for (const row of unheard) {
+            unheardList.appendChild(this._createLogbookItem(row));
+        }
+        
+        const count = document.getElementById('logbookCount');
+        if (count) {
+            count.textContent = `${heard.length} of ${rows.length} stations heard`;
+        }
+    }
+
+    _createLogbookItem({ station, entry }) {
+        const item = document.createElement('li');
+        item.className = entry ? 'logbook-entry heard' : 'logbook-entry';
+        
+        const title = document.createElement('div');
+        title.className = 'logbook-title';
+        title.textContent = station.title;
+        item.appendChild(title);
+        
+        if (station.description) {
+            const description = document.createElement('div');
+            description.className = 'logbook-description';
+            description.textContent = station.description;
+            item.appendChild(description);
+        }
+        
+        if (entry) {
+            const minutes = Math.round(entry.listeningMs / 60000);
+            const details = document.createElement('div');
+            details.className = 'logbook-details';
+            details.textContent = [
+                (station.band || '').toUpperCase(),
+                `first heard ${new Date(entry.firstHeard).toLocaleDateString()}`,
+                `last heard ${new Date(entry.lastHeard).toLocaleString()}`,
+                minutes < 1 ? 'under a minute' : `${minutes} min listened`,
+                `best signal ${Math.round(entry.bestStrength * 100)}%`
+            ].filter(Boolean).join(' · ');
+            item.appendChild(details);
+        }
+        return item;
+    }
+
+    // ===== SEEK AND SCAN =====
+
+    _tuningAction(action) {
+        if (this.onTuningAction) {
+            this.onTuningAction(action);
+        }
+    }
+
+    setTuningCallback(callback) {
+        this.onTuningAction = callback;
+    }
+
+    // Light the button of the sweep in progress (mode 'seek' or 'scan', or null)
+    setScanState(mode, direction) {
+        const active = mode === 'scan' ? 'scan' : (mode === 'seek' ? (direction < 0 ? 'seek-down' : 'seek-up') : null);
+        document.querySelectorAll('.tuning-button').forEach(button => {
+            const on = button.dataset.action === active;
+            button.classList.toggle('active', on);
+            button.setAttribute('aria-pressed', on);
+        });
+    }
+
+    // ===== PRESETS =====
+
+    // Fill #presetBank with one button per slot; presets are { label, position, band } or null
+    renderPresets(presets) {
+        const bank = document.getElementById('presetBank');
+        if (!bank) return;
+        
+        if (bank.children.length !== presets.length) {
+            bank.innerHTML = '';
+            presets.forEach((preset, index) => bank.appendChild(this._createPresetButton(index)));
+        }
+        presets.forEach((preset, index) => {
+            const button = bank.children[index];
+            button.textContent = preset ? preset.label : String(index + 1);
+            button.classList.toggle('empty', !preset);
+            button.title = preset
+                ? `${preset.label}: press to tune, hold to store here (${index + 1}, Shift+${index + 1})`
+                : `Empty: hold to store the current station here (Shift+${index + 1})`;
+        });
+    }
+
+    // A short press recalls, holding for presetHoldMs stores
+    _createPresetButton(index) {
+        const button = document.createElement('button');
+        button.className = 'record-button preset-button';
+        
+        let holdTimer = null;
+        let held = false;
+        const cancel = () => {
+            clearTimeout(holdTimer);
+            holdTimer = null;
+        };
+        
+        button.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            held = false;
+            cancel();
+            holdTimer = setTimeout(() => {
+                holdTimer = null;
+                held = true;
+                button.classList.add('stored');
+                setTimeout(() => button.classList.remove('stored'), 400);
+                this._presetAction('store', index);
+            }, this.presetHoldMs);
+        });
+        button.addEventListener('pointerup', () => {
+            if (holdTimer) {
+                cancel();
+                this._presetAction('recall', index);
+            }
+        });
+        button.addEventListener('pointerleave', cancel);
+        button.addEventListener('pointercancel', cancel);
+        button.addEventListener('contextmenu', (event) => event.preventDefault()); // long press on touch screens
+        
+        // Keyboard activation (Enter or Space) arrives as a click with no pointer
+        button.addEventListener('click', (event) => {
+            if (event.detail === 0) {
+                this._presetAction('recall', index);
+            }
+        });
+        return button;
+    }
+
+    _presetAction(action, index) {
+        if (this.onPresetAction) {
+            this.onPresetAction(action, index);
+        }
+    }
+
+    setPresetCallback(callback) {
+        this.onPresetAction = callback;
+    }
+
+    // ===== GAME PANEL =====
+
+    _gameAction(action, value) {
+        if (this.onGameAction) {
+            this.onGameAction(action, value);
+        }
+    }
+
+    setGameActionCallback(callback) {
+        this.onGameAction = callback;
+    }
+
+    // Show or hide the game panel
+    toggleGame(open) {
+        const panel = document.getElementById('gamePanel');
+        if (!panel) return;
+        const show = open !== undefined ? open : panel.classList.contains('hidden');
+        panel.classList.toggle('hidden', !show);
+    }
+
+    // Show one of the panel's screens: 'setup', 'round' or 'results'
+    _showGameScreen(screen) {
+        this.toggleGame(true);
+        for (const name of ['setup', 'round', 'results']) {
+            const element = document.getElementById(`game${name[0].toUpperCase()}${name.slice(1)}`);
+            if (element) {
+                element.classList.toggle('hidden', name !== screen);
+            }
+        }
+    }
+
+    // Setup screen; difficulties are { id, name }
+    showGameSetup(difficulties, selectedId = 'medium') {
+        const select = document.getElementById('gameDifficulty');
+        if (select && select.options.length === 0) {
+            for (const difficulty of difficulties) {
+                const option = document.createElement('option');
+                option.value = difficulty.id;
+                option.textContent = difficulty.name;
+                select.appendChild(option);
+            }
+            select.value = selectedId;
+        }
+        this._showGameScreen('setup');
+    }
+
+    // A new round: the choices are { id, title, description }
+    showGameRound(round, score) {
+        document.getElementById('gameRoundTitle').textContent = `Round ${round.number} of ${round.total}`;
+        document.getElementById('gameScore').textContent = `Score ${score}`;
+        document.getElementById('gameFeedback').textContent = '';
+        document.getElementById('gameNext').classList.add('hidden');
+        
+        const list = document.getElementById('gameChoices');
+        list.innerHTML = '';
+        for (const choice of round.choices) {
+            const button = document.createElement('button');
+            button.className = 'game-choice';
+            button.dataset.station = choice.id;
+            
+            const title = document.createElement('span');
+            title.className = 'game-choice-title';
+            title.textContent = choice.title;
+            button.appendChild(title);
+            if (choice.description) {
+                const description = document.createElement('span');
+                description.className = 'game-choice-description';
+                description.textContent = choice.description;
+                button.appendChild(description);
+            }
+            
+            button.addEventListener('click', () => this._gameAction('answer', choice.id));
+            list.appendChild(button);
+        }
+        this._showGameScreen('round');
+    }
+
+    // Mark the right answer (and a wrong pick) and offer the next round
+    showGameAnswer(result, score) {
+        document.querySelectorAll('#gameChoices .game-choice').forEach(button => {
+            button.disabled = true;
+            if (button.dataset.station === result.station.id) {
+                button.classList.add('correct');
+            } else if (result.chosen && button.dataset.station === result.chosen.id) {
+                button.classList.add('wrong');
+            }
+        });
+        document.getElementById('gameScore').textContent = `Score ${score}`;
+        document.getElementById('gameFeedback').textContent = result.correct
+            ? `Correct! +${result.points}`
+            : `That was ${result.station.title}`;
+        document.getElementById('gameNext').classList.remove('hidden');
+    }
+
+    // Final score and a line per round
+    showGameResults(results) {
+        document.getElementById('gameResultsSummary').textContent =
+            `${results.correct} of ${results.total} correct (${results.difficultyName}): ${results.score} of ${results.maxScore} points`;
+        
+        const list = document.getElementById('gameResultsList');
+        list.innerHTML = '';
+        for (const result of results.rounds) {
+            const item = document.createElement('li');
+            item.className = result.correct ? 'correct' : 'wrong';
+            item.textContent = result.correct
+                ? `${result.number}. ${result.station.title}: +${result.points}`
+                : `${result.number}. ${result.station.title} (you said ${result.chosen ? result.chosen.title : '?'})`;
+            list.appendChild(item);
+        }
+        this._showGameScreen('results');
+    }
+
+    // Animate the dial pointer from grey to white over discoveryAnimationMs
+    startDiscoveryAnimation() {
+        const triangle = document.getElementById('dialPointer');
+        if (!triangle) return;
+        
+        if (this.discoveryAnimationId) {
+            cancelAnimationFrame(this.discoveryAnimationId);
+        }
+        
+        const startTime = Date.now();
+        const duration = this.discoveryAnimationMs;
+        
+        const animate = () => {
+            const elapsed = Date.now() - startTime;
+            const progress = Math.min(elapsed / duration, 1);
+            
+            // Apply cubic easing curve (ease-out), interpolating from #666 to #fff
+            const easedProgress = 1 - Math.pow(1 - progress, 3);
+            const level = Math.round(0x66 + (0xff - 0x66) * easedProgress);
+            const hex = level.toString(16).padStart(2, '0');
+            triangle.style.borderTopColor = `#${hex}${hex}${hex}`;
+            
+            if (progress < 1) {
+                this.discoveryAnimationId = requestAnimationFrame(animate);
+            } else {
+                // Animation complete; if the dial has already moved on, go back to grey
+                this.discoveryAnimationId = null;
+                if (!this.pointerOnStation) {
+                    this.resetDiscoveryIndicator();
+                }
+            }
+        };
+        
+        animate();
+    }
+
+    // Whether the dial is on a station; leaving one puts a fully white pointer back to grey
+    setPointerOnStation(onStation) {
+        this.pointerOnStation = onStation;
+        if (!onStation && !this.discoveryAnimationId && this.isPointerWhite()) {
+            this.resetDiscoveryIndicator();
+        }
+    }
+
+    isPointerWhite() {
+        const triangle = document.getElementById('dialPointer');
+        if (!triangle) return false;
+        const currentColor = triangle.style.borderTopColor;
+        return currentColor === 'rgb(255, 255, 255)' || currentColor === '#fff' || currentColor === '#ffffff';
+    }
+
+    // Cancel any discovery animation and put the pointer back to grey
+    resetDiscoveryIndicator() {
+        const triangle = document.getElementById('dialPointer');
+        if (!triangle) return;
+        
+        if (this.discoveryAnimationId) {
+            cancelAnimationFrame(this.discoveryAnimationId);
+            this.discoveryAnimationId = null;
+        }
+        triangle.style.borderTopColor = '#666';
     }
 
     handleKeyPress(event) {
+        // Leave typing in form controls (the game's and the receiver's selects) and browser
+        // shortcuts (Ctrl+S, Cmd+L) alone
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        const target = event.target;
+        if (target && (target.isContentEditable || /^(INPUT|SELECT|TEXTAREA)$/.test(target.tagName))) return;
+        
         switch(event.key) {
             case 'ArrowLeft':
                 event.preventDefault();
-                this.rotateDial(-0.5); // Rotate 0.5 degrees left
+                if (event.shiftKey) {
+                    this._tuningAction('seek-down');
+                } else {
+                    this.rotateDial(-0.5); // Rotate 0.5 degrees left
+                }
                 break;
             case 'ArrowRight':
                 event.preventDefault();
-                this.rotateDial(0.5); // Rotate 0.5 degrees right
+                if (event.shiftKey) {
+                    this._tuningAction('seek-up');
+                } else {
+                    this.rotateDial(0.5); // Rotate 0.5 degrees right
+                }
+                break;
+            case 's':
+            case 'S':
+                this._tuningAction('scan');
+                break;
+            case 'l':
+            case 'L':
+                this.toggleLogbook();
+                break;
+            default:
+                // 1-5 tune to a preset, Shift+1-5 store one
+                if (/^Digit[1-9]$/.test(event.code)) {
+                    const index = parseInt(event.code.slice(5), 10) - 1;
+                    this._presetAction(event.shiftKey ? 'store' : 'recall', index);
+                }
                 break;
         }
     }
@@ -86,16 +766,52 @@ class RadioUI {
         mainDial.style.transform = `rotate(${rotation}deg)`;
         
         // Notify audio system of dial change
-        if (this.onDialChange) {
-            this.onDialChange(this.dialPosition);
-        }
+        this.events.emit(RADIO_EVENTS.DIAL_CHANGED, { position: this.dialPosition });
     }
 
     getDialPosition() {
         return this.dialPosition;
     }
 
-    setDialChangeCallback(callback) {
-        this.onDialChange = callback;
+    // Fill #locationSelect with where the listener can be ({ id, name }); '' is no location,
+    // where stations keep their fixed strengths. Hidden when the stations have no locations.
+    setupLocationSelector(locations, activeLocationId) {
+        const select = document.getElementById('locationSelect');
+        if (!select) return;
+        
+        select.innerHTML = '';
+        const anywhere = document.createElement('option');
+        anywhere.value = '';
+        anywhere.textContent = 'Listening from anywhere';
+        select.appendChild(anywhere);
+        for (const location of locations) {
+            const option = document.createElement('option');
+            option.value = location.id;
+            option.textContent = `Listening from ${location.name}`;
+            select.appendChild(option);
+        }
+        select.classList.toggle('hidden', locations.length === 0);
+        select.value = activeLocationId || '';
+        select.onchange = () => {
+            if (this.onLocationChange) {
+                this.onLocationChange(select.value || null);
+            }
+        };
+    }
+
+    setActiveLocation(locationId) {
+        const select = document.getElementById('locationSelect');
+        if (select) {
+            select.value = locationId || '';
+        }
+    }
+
+    setLocationChangeCallback(callback) {
+        this.onLocationChange = callback;
+    }
+
+    // Turn the dial to a position (0-180), as if the listener had turned it
+    setDialPosition(position) {
+        this.rotateDial(position - this.dialPosition);
     }
 } 
\ No newline at end of file
@@ -14,10 +14,22 @@ class RadioWhistles {
         this.whistleGlobalCeiling = 0.15;        // sum of whistles gain is capped
         this.whistleMaxSafeFreq = 8000;         // maximum frequency to prevent clamping warnings
         
+        // Station-pair heterodynes: two carriers both in the passband beat at a fixed pitch
+        this.whistlePairsEnabled = true;
+        this.whistlePairThreshold = 0.05;        // received volume both stations need to beat
+        this.whistlePairMaxGain = 0.02;          // gain when both stations are received at full strength
+        
+        // Regenerative oscillation (0..1): the set's own oscillator beats with every carrier,
+        // so whistles reach right up to the centre of a station and become loud squeals
+        this.oscillation = 0;
+        this.oscillationGainBoost = 6;           // whistle gain multiplier at full oscillation
+        this.oscillationEdgeBoost = 2;           // whistles reach this much further out
+        this.oscillationCeilingBoost = 3;        // global ceiling multiplier at full oscillation
+        
         // Whistle structures
         this.whistleBus = null;                  // GainNode (sum of all whistle tones)
         this.whistleLimiter = null;              // optional DynamicsCompressorNode
-        this.whistleOscillators = new Map();     // stationId -> { osc, gainNode }
+        this.whistleOscillators = new Map();     // voiceId (stationId, or "a~b" for a pair) -> { osc, gainNode }
         
         this.initialize();
     }
@@ -49,9 +61,9 @@ class RadioWhistles {
     startWhistleOscillators(stations) {
         if (!this.whistlesEnabled || !this.whistleBus) return;
         
-        // Create oscillators for all stations
+        // Create oscillators for all stations (pair voices are created when first heard)
         for (const station of stations) {
-            this._ensureWhistleForStation(station.id);
+            this._ensureWhistleVoice(station.id);
         }
         
         console.log('Whistle oscillators started');
@@ -70,12 +82,12 @@ class RadioWhistles {
         console.log('Whistle oscillators stopped');
     }
 
-    _ensureWhistleForStation(stationId) {
-        if (this.whistleOscillators.has(stationId)) return;
+    _ensureWhistleVoice(voiceId) {
+        if (this.whistleOscillators.has(voiceId)) return;
         
         if (!this.audioContext || !this.whistleBus) return;
         
-        // Create oscillator for this station
+        // Create oscillator for this voice
         const oscillator = this.audioContext.createOscillator();
         const gainNode = this.audioContext.createGain();
         
@@ -91,12 +103,13 @@ class RadioWhistles {
         oscillator.start();
         
         // Store the whistle components
-        this.whistleOscillators.set(stationId, {
+        this.whistleOscillators.set(voiceId, {
             osc: oscillator,
-            gainNode: gainNode
+            gainNode: gainNode,
+            audible: false
         });
         
-        console.debug(`Whistle oscillator created for station: ${stationId}`);
+        console.debug(`Whistle oscillator created for: ${voiceId}`);
     }
 
     teardown() {
@@ -125,12 +138,22 @@ class RadioWhistles {
         console.log('Whistle system torn down');
     }
 
-    updateWhistlesForDial(dialPosition, stations, isPoweredOn) {
+    // stationVolumes (optional): Map of stationId -> received volume at this dial position,
+    // used for station-pair heterodynes; computed from each station's Gaussian if omitted
+    // stationStrengths (optional): Map of stationId -> received strength, as the mixer has it,
+    // scaling the dial-offset whistles; the station's own strength if omitted
+    updateWhistlesForDial(dialPosition, stations, isPoweredOn, stationVolumes = null, stationStrengths = null) {
         if (!this.whistlesEnabled || !this.whistleBus || !isPoweredOn) return;
         
         const currentTime = this.audioContext.currentTime;
         const rampTime = this.whistleRampMs / 1000;
         
+        // Oscillation shrinks the deadband towards zero-beat and makes whistles louder and wider
+        const deadband = this.whistleCenterDeadband * (1 - this.oscillation) + 0.05 * this.oscillation;
+        const edgeWidth = this.whistleEdgeWidth * (1 + this.oscillationEdgeBoost * this.oscillation);
+        const maxGain = this.whistleMaxGain * (1 + this.oscillationGainBoost * this.oscillation);
+        const globalCeiling = this.whistleGlobalCeiling * (1 + this.oscillationCeilingBoost * this.oscillation);
+        
         // Calculate maximum safe frequency to prevent clamping warnings
         const maxSafeFreq = this.whistleMaxSafeFreq;
         const maxSafeOffset = maxSafeFreq / this.whistleScaleHzPerUnit;
@@ -142,7 +165,7 @@ class RadioWhistles {
             const offset = Math.abs(dialPosition - station.position);
             
             // Skip if within deadband (no whistle on-center)
-            if (offset < this.whistleCenterDeadband) {
+            if (offset < deadband) {
                 stationWhistles.push({
                     stationId: station.id,
                     frequency: 0,
@@ -183,22 +206,31 @@ class RadioWhistles {
         for (const whistle of stationWhistles) {
             if (whistle.frequency > 0) {
                 // Calculate gain using edge-gated Gaussian
-                const proximity = Math.exp(-0.5 * Math.pow(whistle.offset / this.whistleEdgeWidth, 2));
-                let gain = this.whistleMaxGain * proximity;
+                const proximity = Math.exp(-0.5 * Math.pow(whistle.offset / edgeWidth, 2));
+                let gain = maxGain * proximity;
                 
                 // Apply gain reduction for high frequencies
                 gain *= whistle.gainReduction;
                 
-                // Optional: modulate by station strength
-                const station = stations.find(s => s.id === whistle.stationId);
-                if (station) {
-                    gain *= station.strength;
+                // Modulate by received station strength, as the mixer hears it
+                if (stationStrengths && stationStrengths.has(whistle.stationId)) {
+                    gain *= stationStrengths.get(whistle.stationId);
+                } else {
+                    const station = stations.find(s => s.id === whistle.stationId);
+                    if (station) {
+                        gain *= station.reception ? station.reception.strength : station.strength;
+                    }
                 }
                 
                 whistle.gain = gain;
             }
         }
         
+        // Station-pair heterodynes compete with the dial-offset whistles for the same voices
+        if (this.whistlePairsEnabled) {
+            stationWhistles.push(...this._calculatePairWhistles(dialPosition, stations, stationVolumes));
+        }
+        
         // Sort by gain (highest first) and limit to max simultaneous
         stationWhistles.sort((a, b) => b.gain - a.gain);
         const selectedWhistles = stationWhistles.slice(0, this.whistleMaxSimultaneous);
@@ -207,54 +239,100 @@ class RadioWhistles {
         let totalGain = selectedWhistles.reduce((sum, w) => sum + w.gain, 0);
         let scaleFactor = 1.0;
         
-        if (totalGain > this.whistleGlobalCeiling) {
-            scaleFactor = this.whistleGlobalCeiling / totalGain;
+        if (totalGain > globalCeiling) {
+            scaleFactor = globalCeiling / totalGain;
         }
         
         // Apply whistle automation for selected stations
         for (const whistle of selectedWhistles) {
             const scaledGain = whistle.gain * scaleFactor;
-            this._applyWhistleAutomation(whistle.stationId, whistle.frequency, scaledGain, rampTime, currentTime);
+            this._applyWhistleAutomation(whistle.stationId, whistle.frequency, scaledGain, rampTime, currentTime, whistle.fixedPitch);
         }
         
         // Ramp non-selected whistles to 0
         const selectedIds = new Set(selectedWhistles.map(w => w.stationId));
-        for (const [stationId, whistle] of this.whistleOscillators) {
-            if (!selectedIds.has(stationId)) {
-                this._applyWhistleAutomation(stationId, 0, 0, rampTime, currentTime);
+        for (const [voiceId, whistle] of this.whistleOscillators) {
+            if (!selectedIds.has(voiceId)) {
+                // Pair voices hold their pitch while fading out
+                this._applyWhistleAutomation(voiceId, 0, 0, rampTime, currentTime, voiceId.includes('~'));
             }
         }
     }
 
-    _applyWhistleAutomation(stationId, freqHz, gain, rampTime, currentTime) {
-        const whistle = this.whistleOscillators.get(stationId);
-        if (!whistle) return;
-        
-        // Ensure oscillator exists
-        this._ensureWhistleForStation(stationId);
+    // Beat between every pair of stations whose passbands both cover the dial: a steady
+    // tone at their carrier separation, however the dial moves between them
+    _calculatePairWhistles(dialPosition, stations, stationVolumes) {
+        const received = (station) => {
+            if (stationVolumes && stationVolumes.has(station.id)) {
+                return stationVolumes.get(station.id);
+            }
+            const strength = station.reception ? station.reception.strength : station.strength;
+            const distance = dialPosition - station.position;
+            return strength * Math.exp(-(distance * distance) / (2 * station.sigma * station.sigma));
+        };
+        
+        const audible = stations
+            .map(station => ({ station, volume: received(station) }))
+            .filter(entry => entry.volume >= this.whistlePairThreshold);
+        
+        const pairWhistles = [];
+        for (let i = 0; i < audible.length; i++) {
+            for (let j = i + 1; j < audible.length; j++) {
+                const a = audible[i];
+                const b = audible[j];
+                const frequency = Math.abs(a.station.position - b.station.position) * this.whistleScaleHzPerUnit;
+                if (frequency <= 0 || frequency > this.whistleMaxSafeFreq) continue;
+                
+                // Id order keeps the voice stable whichever way round the stations come
+                const ids = [a.station.id, b.station.id].sort();
+                pairWhistles.push({
+                    stationId: `${ids[0]}~${ids[1]}`,
+                    frequency: frequency,
+                    gain: this.whistlePairMaxGain * Math.sqrt(a.volume * b.volume),
+                    offset: 0,
+                    fixedPitch: true
+                });
+            }
+        }
+        return pairWhistles;
+    }
+
+    _applyWhistleAutomation(voiceId, freqHz, gain, rampTime, currentTime, fixedPitch = false) {
+        // Ensure oscillator exists (pair voices are created on first use)
+        if (gain > 0) {
+            this._ensureWhistleVoice(voiceId);
+        }
         
-        // Get the updated whistle reference
-        const updatedWhistle = this.whistleOscillators.get(stationId);
-        if (!updatedWhistle) return;
+        const whistle = this.whistleOscillators.get(voiceId);
+        if (!whistle) return;
         
         // Clamp frequency to valid Web Audio API range to prevent warnings
         const clampedFreq = Math.max(0, Math.min(freqHz, 22050));
         
-        // Ramp frequency and gain smoothly
-        updatedWhistle.osc.frequency.setTargetAtTime(clampedFreq, currentTime, rampTime);
-        updatedWhistle.gainNode.gain.setTargetAtTime(gain, currentTime, rampTime);
+        // A fixed-pitch beat starts on its note rather than sweeping up from silence
+        if (fixedPitch && !whistle.audible && gain > 0) {
+            whistle.osc.frequency.setValueAtTime(clampedFreq, currentTime);
+        } else if (!(fixedPitch && gain === 0)) {
+            whistle.osc.frequency.setTargetAtTime(clampedFreq, currentTime, rampTime);
+        }
+        whistle.gainNode.gain.setTargetAtTime(gain, currentTime, rampTime);
+        whistle.audible = gain > 0;
         
         // Only log if frequency was clamped
         if (freqHz !== clampedFreq) {
-            console.debug(`Whistle ${stationId}: frequency clamped from ${freqHz.toFixed(0)}Hz to ${clampedFreq.toFixed(0)}Hz`);
+            console.debug(`Whistle ${voiceId}: frequency clamped from ${freqHz.toFixed(0)}Hz to ${clampedFreq.toFixed(0)}Hz`);
         }
     }
 
     // Configuration Setters/Getters
     setWhistlesEnabled(enabled) {
+        const wasEnabled = this.whistlesEnabled;
         this.whistlesEnabled = enabled;
         if (!enabled) {
             this.teardown();
+        } else if (!wasEnabled) {
+            // teardown() disconnected the bus; voices are recreated as they are needed
+            this.initialize();
         }
     }
     
@@ -290,6 +368,23 @@ class RadioWhistles {
         this.whistleMaxSafeFreq = value;
     }
     
+    // Driven by RadioAudio's regeneration once the set breaks into oscillation
+    setOscillation(level) {
+        this.oscillation = Math.max(0, Math.min(1, level));
+    }
+    
+    setWhistlePairsEnabled(enabled) {
+        this.whistlePairsEnabled = enabled;
+    }
+    
+    setWhistlePairThreshold(value) {
+        this.whistlePairThreshold = value;
+    }
+    
+    setWhistlePairMaxGain(value) {
+        this.whistlePairMaxGain = value;
+    }
+    
     // Getters
     getWhistlesEnabled() { return this.whistlesEnabled; }
     getWhistleScale() { return this.whistleScaleHzPerUnit; }
@@ -300,6 +395,10 @@ class RadioWhistles {
     getWhistleMaxSimultaneous() { return this.whistleMaxSimultaneous; }
     getWhistleGlobalCeiling() { return this.whistleGlobalCeiling; }
     getWhistleMaxSafeFreq() { return this.whistleMaxSafeFreq; }
+    getOscillation() { return this.oscillation; }
+    getWhistlePairsEnabled() { return this.whistlePairsEnabled; }
+    getWhistlePairThreshold() { return this.whistlePairThreshold; }
+    getWhistlePairMaxGain() { return this.whistlePairMaxGain; }
 
     // Test method for whistle system
     testWhistles(stations) {
@@ -318,6 +417,7 @@ class RadioWhistles {
         console.log(`  Max Simultaneous: ${this.whistleMaxSimultaneous}`);
         console.log(`  Global Ceiling: ${this.whistleGlobalCeiling}`);
         console.log(`  Max Safe Frequency: ${this.whistleMaxSafeFreq}Hz`);
+        console.log(`  Pair Heterodynes: ${this.whistlePairsEnabled ? 'on' : 'off'} (threshold ${this.whistlePairThreshold}, max gain ${this.whistlePairMaxGain})`);
         
         if (stations && stations.length > 0) {
             console.log('Stations available for whistles:', stations.map(s => `${s.id} at ${s.position}`));
@@ -326,3 +426,10 @@ class RadioWhistles {
         }
     }
 }
+
+// Export for use in main simulator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RadioWhistles;
+} else if (typeof window !== 'undefined') {
+    window.RadioWhistles = RadioWhistles;
+}
@@ -0,0 +1,92 @@
+// Receiver Profiles
+// Named receivers defined in profiles.yaml: a crystal set on headphones, a two-valve set
+// with a horn speaker, a superhet console. A profile bundles what makes each one sound
+// the way it does: the cabinet colouring, how selective and sensitive it is, whether it
+// has reaction or whistles at all, and how much of the noise bed it lets through.
+// Entries are checked with the same validator as stations.yaml.
+
+// ===== SCHEMA =====
+
+// Defaults are the stock whistles, so switching profiles never leaves a setting
+// behind from the previous receiver
+const PROFILE_WHISTLE_FIELDS = {
+    enabled: { type: 'boolean', default: true },
+    maxGain: { type: 'number', default: 0.03, min: 0, max: 1 },
+    edgeWidth: { type: 'number', default: 2.0, positive: true }
+};
+
+// Multipliers on the band's noise levels
+const PROFILE_NOISE_FIELDS = {
+    hiss: { type: 'number', default: 1, min: 0 },
+    crash: { type: 'number', default: 1, min: 0 },
+    hum: { type: 'number', default: 1, min: 0 }
+};
+
+const PROFILE_FIELDS = {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    description: { type: 'string', default: '' },
+    selectivity: { type: 'number', default: 1, positive: true }, // multiplier on every station's sigma
+    sensitivity: { type: 'number', default: 1, positive: true }, // multiplier on received strength
+    regeneration: { type: 'boolean', default: true }, // has a reaction control
+    cabinet: { type: 'object', default: {} }, // RadioCabinet parameters, see cabinetFields()
+    whistles: { type: 'object', default: {}, fields: PROFILE_WHISTLE_FIELDS },
+    noise: { type: 'object', default: {}, fields: PROFILE_NOISE_FIELDS }
+};
+
+// Cabinet settings are RadioCabinet's own parameters, with the same types and ranges
+function cabinetFields() {
+    const cabinet = typeof RadioCabinet !== 'undefined' ? RadioCabinet : require('./radio-cabinet.js');
+    const fields = {};
+    for (const [name, spec] of Object.entries(cabinet.PARAMETERS)) {
+        fields[name] = spec.type === 'number'
+            ? { type: 'number', min: spec.min, max: spec.max }
+            : { type: spec.type };
+    }
+    return fields;
+}
+
+// ===== PROFILES CLASS =====
+
+class ReceiverProfiles {
+    constructor() {
+        this.profiles = new Map(); // profile ID -> profile
+        this.errors = [];
+        this.warnings = [];
+    }
+
+    // Parse profiles.yaml. Returns the valid profiles; problems are kept in errors/warnings.
+    parse(yamlText, sourceName = 'profiles.yaml') {
+        const schema = new StationSchema(sourceName);
+        const result = { errors: [], warnings: [] };
+
+        const fields = { ...PROFILE_FIELDS, cabinet: { ...PROFILE_FIELDS.cabinet, fields: cabinetFields() } };
+
+        const document = schema.loadDocument(yamlText, 'profiles', result);
+        result.profiles = document
+            ? schema.validateList(document, yamlText, 'profiles', fields, 'profile', result)
+            : [];
+        schema._checkDuplicateIds(result, 'profiles', 'profile'); // the first one wins, as for stations
+
+        this.errors = result.errors;
+        this.warnings = result.warnings;
+        this.profiles = new Map(result.profiles.map(profile => [profile.id, profile]));
+        return result.profiles;
+    }
+
+    get(profileId) {
+        return this.profiles.get(profileId) || null;
+    }
+
+    list() {
+        return [...this.profiles.values()];
+    }
+}
+
+// Export for use in main simulator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReceiverProfiles, PROFILE_FIELDS };
+} else if (typeof window !== 'undefined') {
+    window.ReceiverProfiles = ReceiverProfiles;
+    window.PROFILE_FIELDS = PROFILE_FIELDS;
+}
@@ -0,0 +1,60 @@
+// Recorder Worklet
+// AudioWorkletProcessor that copies its (stereo) input to the main thread while
+// recording. Loaded by radio-recorder.js with audioWorklet.addModule(); runs on the
+// audio thread.
+//
+// Messages in:  'start', 'stop'
+// Messages out: { channels: [Float32Array, Float32Array] } batches of captured audio,
+//               { stopped: true } once the last batch has been sent after 'stop'
+
+const RECORDER_BATCH_FRAMES = 4096; // about 85 ms at 48 kHz; fewer, larger messages
+
+class RecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.recording = false;
+        this.batch = [new Float32Array(RECORDER_BATCH_FRAMES), new Float32Array(RECORDER_BATCH_FRAMES)];
+        this.batchFrames = 0;
+
+        this.port.onmessage = (event) => {
+            if (event.data === 'start') {
+                this.batchFrames = 0;
+                this.recording = true;
+            } else if (event.data === 'stop') {
+                this.flush();
+                this.recording = false;
+                this.port.postMessage({ stopped: true });
+            }
+        };
+    }
+
+    // Send what has been collected so far and start a new batch
+    flush() {
+        if (this.batchFrames === 0) return;
+        this.port.postMessage({
+            channels: this.batch.map(channel => channel.slice(0, this.batchFrames))
+        });
+        this.batchFrames = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!this.recording || !input || input.length === 0) return true;
+
+        const frames = input[0].length;
+        for (let i = 0; i < frames; i++) {
+            for (let ch = 0; ch < 2; ch++) {
+                // Mono input is copied to both channels
+                const source = input[ch] || input[0];
+                this.batch[ch][this.batchFrames] = source[i];
+            }
+            this.batchFrames++;
+            if (this.batchFrames === RECORDER_BATCH_FRAMES) {
+                this.flush();
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('ether-recorder', RecorderProcessor);
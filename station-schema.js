@@ -0,0 +1,444 @@
+// Station Schema
+// Declarative description of the entries in stations.yaml. Parsing is done by js-yaml;
+// this module checks each entry against the schema, fills in defaults and reports
+// problems against the line the entry starts on, so a bad entry never disappears silently.
+
+// ===== SCHEMA =====
+// Field options:
+//   type      'string' | 'number' | 'boolean' | 'object' | 'array'
+//   required  entry is rejected when the field is missing
+//   default   value used when the field is missing (or null); an object default is
+//             filled in from its nested `fields` defaults
+//   min/max   inclusive numeric bounds
+//   positive  number must be greater than zero
+//   pattern   RegExp a string must match (with `hint` describing it in errors)
+//   fields    nested schema for 'object'
+//   items     field spec applied to each element of an 'array'
+
+const SCHEDULE_SEGMENT_FIELDS = {
+    src: { type: 'string', required: true },
+    start: { type: 'string', required: true, pattern: /^([01]?\d|2[0-3]):[0-5]\d$/, hint: 'a time of day like "19:30"' },
+    duration: { type: 'number', required: true, positive: true }, // minutes
+    interval: { type: 'string' } // interval signal played until the next segment, or "silence" for carrier only
+};
+
+const FADING_FIELDS = {
+    depth: { type: 'number', min: 0, max: 1 }, // defaults to the propagation model's depth
+    rate: { type: 'number', default: 0.05, positive: true }, // Hz
+    randomness: { type: 'number', default: 0.5, min: 0, max: 1 },
+    selective: { type: 'boolean' } // defaults on for deeply fading stations
+};
+
+const TRANSMITTER_FIELDS = {
+    name: { type: 'string', default: '' },
+    lat: { type: 'number', required: true, min: -90, max: 90 },
+    lon: { type: 'number', required: true, min: -180, max: 180 },
+    power: { type: 'number', required: true, positive: true } // kW
+};
+
+const LOCATION_FIELDS = {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    lat: { type: 'number', required: true, min: -90, max: 90 },
+    lon: { type: 'number', required: true, min: -180, max: 180 }
+};
+
+// Noise character of a band; levels as in RadioNoise, crashRate scales the QRN rate
+const BAND_NOISE_FIELDS = {
+    hiss: { type: 'number', default: 0.05, min: 0, max: 1 },
+    crash: { type: 'number', default: 0.6, min: 0, max: 1 },
+    hum: { type: 'number', default: 0.004, min: 0, max: 1 },
+    crashRate: { type: 'number', default: 1, min: 0 }
+};
+
+const BAND_RANGE_FIELDS = {
+    min: { type: 'number', required: true, positive: true },
+    max: { type: 'number', required: true, positive: true }
+};
+
+const BAND_FIELDS = {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    range: { type: 'object', required: true, fields: BAND_RANGE_FIELDS }, // kHz covered by the dial's 0-180 sweep
+    sigma: { type: 'number', default: 1.0, positive: true }, // for stations that don't set their own
+    whistleScale: { type: 'number', default: 1000, positive: true }, // Hz of whistle per dial unit
+    noise: { type: 'object', default: {}, fields: BAND_NOISE_FIELDS }
+};
+
+const BAND_RULES = [
+    band => band.range.max <= band.range.min ? 'range.max must be above range.min' : null
+];
+
+// Used when stations.yaml defines no bands, so older files keep working unchanged
+const DEFAULT_BAND_ID = 'mw';
+const DEFAULT_BAND = {
+    id: DEFAULT_BAND_ID,
+    name: 'Medium Wave',
+    range: { min: 550, max: 1500 },
+    sigma: 1.0,
+    whistleScale: 1000,
+    noise: { hiss: 0.05, crash: 0.6, hum: 0.004, crashRate: 1 }
+};
+
+const STATION_FIELDS = {
+    id: { type: 'string', required: true },
+    title: { type: 'string', required: true },
+    description: { type: 'string', default: '' },
+    src: { type: 'string' }, // required unless the station has a schedule
+    archive: { type: 'string', default: '' },
+    position: { type: 'number', required: true, min: 0, max: 180 },
+    strength: { type: 'number', default: 0.5, min: 0, max: 1 },
+    sigma: { type: 'number', positive: true }, // defaults to the band's sigma
+    band: { type: 'string', default: DEFAULT_BAND_ID },
+    offset: { type: 'number', default: 0 }, // seconds ahead of the broadcast clock
+    schedule: { type: 'array', items: { type: 'object', required: true, fields: SCHEDULE_SEGMENT_FIELDS } },
+    transmitter: { type: 'object', fields: TRANSMITTER_FIELDS }, // replaces `strength` once a listener location is chosen
+    fading: { type: 'object', fields: FADING_FIELDS }
+};
+
+// Whole-entry checks that don't fit a single field; each returns an error message or null
+const STATION_RULES = [
+    station => (!station.src && !station.schedule) ? 'needs either "src" or a "schedule"' : null,
+    station => (station.schedule && station.schedule.length === 0) ? 'schedule must list at least one segment' : null
+];
+
+// ===== VALIDATION =====
+
+class StationSchema {
+    constructor(sourceName = 'stations.yaml') {
+        this.sourceName = sourceName;
+    }
+
+    // Parse and validate a stations document.
+    // Returns { stations, locations, bands, document, errors, warnings }; errors and warnings are { line, message }.
+    parse(yamlText) {
+        const result = {
+            stations: [],
+            locations: [],
+            bands: [],
+            document: null,
+            errors: [],
+            warnings: []
+        };
+
+        const document = this.loadDocument(yamlText, 'stations', result);
+        if (!document) return result;
+        result.document = document;
+
+        result.stations = this.validateList(document, yamlText, 'stations', STATION_FIELDS, 'station', result, { rules: STATION_RULES });
+        result.locations = this.validateList(document, yamlText, 'locations', LOCATION_FIELDS, 'location', result, { optional: true });
+        result.bands = this.validateList(document, yamlText, 'bands', BAND_FIELDS, 'band', result, { rules: BAND_RULES, optional: true });
+        this._checkDuplicateIds(result, 'stations', 'station');
+        this._checkDuplicateIds(result, 'bands', 'band');
+        this._applyBands(result);
+        this._checkOverlappingPositions(result);
+
+        return result;
+    }
+
+    // Parse YAML text that should hold a mapping with a `listKey` list at the top level.
+    // Syntax and shape problems go into result.errors and null is returned.
+    loadDocument(yamlText, listKey, result) {
+        const yamlParser = this._getYamlParser();
+        let document;
+        try {
+            document = yamlParser.load(yamlText);
+        } catch (error) {
+            const line = error.mark ? error.mark.line + 1 : null;
+            result.errors.push(this._issue(line, `YAML syntax error: ${error.reason || error.message}`));
+            return null;
+        }
+
+        if (!document || typeof document !== 'object' || Array.isArray(document)) {
+            result.errors.push(this._issue(1, `expected a mapping with a "${listKey}" list at the top level`));
+            return null;
+        }
+        return document;
+    }
+
+    // Validate every entry of a top-level list. Invalid entries are dropped and reported.
+    // Options: rules (whole-entry checks), optional (a missing list is not an error)
+    validateList(document, yamlText, key, fields, label, result, { rules = [], optional = false } = {}) {
+        const entries = document[key];
+        if (entries === undefined || entries === null) {
+            if (optional) return [];
+            result.errors.push(this._issue(1, `missing top-level "${key}" list`));
+            return [];
+        }
+        if (!Array.isArray(entries)) {
+            result.errors.push(this._issue(findKeyLine(yamlText, key), `"${key}" must be a list`));
+            return [];
+        }
+
+        const entryLines = findSequenceItemLines(yamlText, key);
+        const valid = [];
+
+        entries.forEach((entry, index) => {
+            const line = entryLines[index] || findKeyLine(yamlText, key);
+            const name = entry && typeof entry === 'object' && typeof entry.id === 'string'
+                ? `${label} "${entry.id}"`
+                : `${label} #${index + 1}`;
+
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                result.errors.push(this._issue(line, `${name}: expected a mapping of fields`));
+                return;
+            }
+
+            const problems = [];
+            const value = this.validateObject(entry, fields, '', problems);
+            if (!problems.some(p => p.severity === 'error')) {
+                for (const rule of rules) {
+                    const message = rule(value);
+                    if (message) problems.push({ severity: 'error', path: '', message });
+                }
+            }
+            const lineOf = (path) => (path && findFieldLine(yamlText, line, entryLines[index + 1], path.split(/[.[]/)[0])) || line;
+
+            for (const problem of problems) {
+                if (problem.severity === 'warning') {
+                    result.warnings.push(this._issue(lineOf(problem.path), `${name}: ${problem.message}`));
+                }
+            }
+
+            const errors = problems.filter(p => p.severity === 'error');
+            if (errors.length > 0) {
+                for (const problem of errors) {
+                    result.errors.push(this._issue(lineOf(problem.path), `${name}: ${problem.message} (entry skipped)`));
+                }
+                return;
+            }
+
+            // Remember where the entry lives so later checks can point at it
+            Object.defineProperty(value, '_line', { value: line, enumerable: false });
+            valid.push(value);
+        });
+
+        return valid;
+    }
+
+    // Check an object against a schema. Unknown keys are kept (and flagged) so new
+    // fields survive loading even before the schema knows about them.
+    validateObject(input, fields, path, problems) {
+        const output = {};
+
+        for (const [key, spec] of Object.entries(fields)) {
+            const fieldPath = path ? `${path}.${key}` : key;
+            const raw = input[key];
+
+            if (raw === undefined || raw === null) {
+                if (spec.required) {
+                    problems.push({ severity: 'error', path: fieldPath, message: `missing required field "${fieldPath}"` });
+                } else if (spec.default !== undefined) {
+                    output[key] = spec.type === 'object'
+                        ? this.validateObject(spec.default, spec.fields || {}, fieldPath, problems)
+                        : spec.default;
+                }
+                continue;
+            }
+
+            const value = this.validateValue(raw, spec, fieldPath, problems);
+            if (value !== undefined) {
+                output[key] = value;
+            }
+        }
+
+        for (const key of Object.keys(input)) {
+            if (!(key in fields)) {
+                const fieldPath = path ? `${path}.${key}` : key;
+                problems.push({ severity: 'warning', path: fieldPath, message: `unknown field "${fieldPath}" (kept as-is)` });
+                output[key] = input[key];
+            }
+        }
+
+        return output;
+    }
+
+    validateValue(raw, spec, path, problems) {
+        const fail = (message) => {
+            problems.push({ severity: 'error', path, message: `${path} ${message}` });
+            return undefined;
+        };
+
+        switch (spec.type) {
+            case 'string':
+                if (typeof raw !== 'string') return fail(`must be a string, got ${describe(raw)}`);
+                if (spec.pattern && !spec.pattern.test(raw)) return fail(`must be ${spec.hint || `in the form ${spec.pattern}`}, got ${describe(raw)}`);
+                return raw;
+
+            case 'boolean':
+                if (typeof raw !== 'boolean') return fail(`must be true or false, got ${describe(raw)}`);
+                return raw;
+
+            case 'number':
+                if (typeof raw !== 'number' || Number.isNaN(raw)) return fail(`must be a number, got ${describe(raw)}`);
+                if (spec.min !== undefined && raw < spec.min) return fail(`must be at least ${spec.min}, got ${raw}`);
+                if (spec.max !== undefined && raw > spec.max) return fail(`must be at most ${spec.max}, got ${raw}`);
+                if (spec.positive && raw <= 0) return fail(`must be greater than 0, got ${raw}`);
+                return raw;
+
+            case 'object':
+                if (typeof raw !== 'object' || Array.isArray(raw)) return fail(`must be a mapping, got ${describe(raw)}`);
+                return this.validateObject(raw, spec.fields || {}, path, problems);
+
+            case 'array':
+                if (!Array.isArray(raw)) return fail(`must be a list, got ${describe(raw)}`);
+                return raw.map((item, i) => {
+                    if ((item === undefined || item === null) && spec.items.required) {
+                        problems.push({ severity: 'error', path: `${path}[${i}]`, message: `${path}[${i}] is empty` });
+                        return undefined;
+                    }
+                    return this.validateValue(item, spec.items, `${path}[${i}]`, problems);
+                });
+
+            default:
+                return raw;
+        }
+    }
+
+    _checkDuplicateIds(result, key, label) {
+        const seen = new Map();
+        result[key] = result[key].filter(entry => {
+            if (seen.has(entry.id)) {
+                result.warnings.push(this._issue(entry._line,
+                    `duplicate ${label} id "${entry.id}" (first defined on line ${seen.get(entry.id)._line}); this entry is ignored`));
+                return false;
+            }
+            seen.set(entry.id, entry);
+            return true;
+        });
+    }
+
+    // Put every station on a known band and give it the band's sigma if it has none
+    _applyBands(result) {
+        if (result.bands.length === 0) {
+            result.bands = [JSON.parse(JSON.stringify(DEFAULT_BAND))];
+        }
+        const bands = new Map(result.bands.map(band => [band.id, band]));
+        const fallback = bands.get(DEFAULT_BAND_ID) || result.bands[0];
+
+        for (const station of result.stations) {
+            if (!bands.has(station.band)) {
+                result.warnings.push(this._issue(station._line,
+                    `station "${station.id}": unknown band "${station.band}"; placed on "${fallback.id}"`));
+                station.band = fallback.id;
+            }
+            if (station.sigma === undefined) {
+                station.sigma = bands.get(station.band).sigma;
+            }
+        }
+    }
+
+    _checkOverlappingPositions(result) {
+        const sorted = [...result.stations].sort((a, b) => a.position - b.position);
+        for (let i = 1; i < sorted.length; i++) {
+            // Stations on different bands never share the dial
+            const a = sorted.slice(0, i).reverse().find(s => s.band === sorted[i].band);
+            const b = sorted[i];
+            if (!a) continue;
+            // Closer than the narrower tuning curve: the two are heard as one station
+            if (b.position - a.position < Math.min(a.sigma, b.sigma)) {
+                result.warnings.push(this._issue(b._line,
+                    `station "${b.id}" at ${b.position} overlaps station "${a.id}" at ${a.position} (line ${a._line})`));
+            }
+        }
+    }
+
+    _issue(line, message) {
+        return {
+            line,
+            message: line ? `${this.sourceName}:${line} ${message}` : `${this.sourceName}: ${message}`
+        };
+    }
+
+    _getYamlParser() {
+        if (typeof jsyaml !== 'undefined') return jsyaml;
+        if (typeof require === 'function') return require('js-yaml');
+        throw new Error('js-yaml is not loaded');
+    }
+}
+
+// ===== LINE LOOKUP HELPERS =====
+// js-yaml does not report node positions, so entries are located by scanning the text.
+
+function indentOf(line) {
+    return line.length - line.trimStart().length;
+}
+
+function isContentLine(line) {
+    const trimmed = line.trim();
+    return trimmed !== '' && !trimmed.startsWith('#');
+}
+
+// 1-based line of a top-level key, or null
+function findKeyLine(yamlText, key) {
+    const lines = yamlText.split('\n');
+    const pattern = new RegExp(`^${key}\\s*:`);
+    const index = lines.findIndex(line => pattern.test(line));
+    return index === -1 ? null : index + 1;
+}
+
+// 1-based start lines of each item in the block sequence under a top-level key
+function findSequenceItemLines(yamlText, key) {
+    const lines = yamlText.split('\n');
+    const keyLine = findKeyLine(yamlText, key);
+    if (!keyLine) return [];
+
+    const itemLines = [];
+    let itemIndent = null;
+
+    for (let i = keyLine; i < lines.length; i++) {
+        const line = lines[i];
+        if (!isContentLine(line)) continue;
+
+        const indent = indentOf(line);
+        const isItem = /^-(\s|$)/.test(line.trimStart());
+
+        if (itemIndent === null) {
+            if (!isItem) break;
+            itemIndent = indent;
+        }
+
+        if (isItem && indent === itemIndent) {
+            itemLines.push(i + 1);
+        } else if (indent < itemIndent || (indent === itemIndent && !isItem)) {
+            break;
+        }
+    }
+
+    return itemLines;
+}
+
+// 1-based line of a field inside an entry spanning [startLine, endLine)
+function findFieldLine(yamlText, startLine, endLine, field) {
+    const lines = yamlText.split('\n');
+    const end = endLine ? endLine - 1 : lines.length;
+    const itemIndent = indentOf(lines[startLine - 1]);
+    const pattern = new RegExp(`^(-\\s+)?["']?${field.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}["']?\\s*:`);
+    for (let i = startLine - 1; i < end; i++) {
+        if (!isContentLine(lines[i])) continue;
+        if (i > startLine - 1 && indentOf(lines[i]) <= itemIndent) break;
+        if (pattern.test(lines[i].trim())) return i + 1;
+    }
+    return null;
+}
+
+function describe(value) {
+    if (Array.isArray(value)) return 'a list';
+    if (typeof value === 'string') return `"${value}"`;
+    if (typeof value === 'object') return 'a mapping';
+    return String(value);
+}
+
+// Export for use in main simulator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StationSchema, STATION_FIELDS, SCHEDULE_SEGMENT_FIELDS, TRANSMITTER_FIELDS, LOCATION_FIELDS, FADING_FIELDS, BAND_FIELDS, DEFAULT_BAND };
+} else if (typeof window !== 'undefined') {
+    window.BAND_FIELDS = BAND_FIELDS;
+    window.DEFAULT_BAND = DEFAULT_BAND;
+    window.FADING_FIELDS = FADING_FIELDS;
+    window.TRANSMITTER_FIELDS = TRANSMITTER_FIELDS;
+    window.LOCATION_FIELDS = LOCATION_FIELDS;
+    window.StationSchema = StationSchema;
+    window.STATION_FIELDS = STATION_FIELDS;
+    window.SCHEDULE_SEGMENT_FIELDS = SCHEDULE_SEGMENT_FIELDS;
+}
@@ -0,0 +1,171 @@
+// Headless engine check
+// Runs RadioAudio under Node against a fake AudioContext and the files in this repo, and
+// checks the events it publishes from loading to power-off. No browser or audio device.
+//
+//   node --test tests/
+//
+// station-schema.js needs js-yaml where Node can find it, e.g.
+//   npm install -g js-yaml && NODE_PATH=$(npm root -g) node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const RadioAudio = require('../radio-audio.js');
+const { RadioEventBus, RADIO_EVENTS } = require('../radio-events.js');
+const { seededRandom } = require('../radio-random.js');
+
+const ROOT = path.join(__dirname, '..');
+
+// ===== FAKE AUDIO CONTEXT =====
+// Just enough of the Web Audio API for the engine to build its graph. Nothing is rendered;
+// AudioParams keep the last value they were given.
+
+class FakeParam {
+    constructor(value = 0) {
+        this.value = value;
+    }
+
+    setValueAtTime(value) { this.value = value; }
+    setTargetAtTime(value) { this.value = value; }
+    linearRampToValueAtTime(value) { this.value = value; }
+    exponentialRampToValueAtTime(value) { this.value = value; }
+    cancelScheduledValues() {}
+}
+
+class FakeNode {
+    constructor() {
+        this.outputs = new Set();
+        for (const name of ['gain', 'frequency', 'Q', 'detune', 'delayTime', 'threshold', 'knee', 'ratio', 'attack', 'release']) {
+            this[name] = new FakeParam(1);
+        }
+    }
+
+    connect(node) {
+        this.outputs.add(node);
+        return node;
+    }
+
+    disconnect(node) {
+        if (node) {
+            this.outputs.delete(node);
+        } else {
+            this.outputs.clear();
+        }
+    }
+
+    start() {}
+    stop() {}
+}
+
+class FakeAudioContext {
+    constructor() {
+        this.currentTime = 0;
+        this.sampleRate = 8000;
+        this.state = 'running';
+        this.destination = new FakeNode();
+    }
+
+    createGain() { return new FakeNode(); }
+    createBiquadFilter() { return new FakeNode(); }
+    createConvolver() { return new FakeNode(); }
+    createWaveShaper() { return new FakeNode(); }
+    createDelay() { return new FakeNode(); }
+    createDynamicsCompressor() { return new FakeNode(); }
+    createOscillator() { return new FakeNode(); }
+    createBufferSource() { return new FakeNode(); }
+
+    createBuffer(channels, length, sampleRate) {
+        const data = Array.from({ length: channels }, () => new Float32Array(Math.max(1, Math.floor(length))));
+        return { numberOfChannels: channels, length, sampleRate, duration: length / sampleRate, getChannelData: i => data[i] };
+    }
+
+    decodeAudioData() {
+        return Promise.resolve(this.createBuffer(1, this.sampleRate * 30, this.sampleRate));
+    }
+
+    resume() {
+        this.state = 'running';
+        return Promise.resolve();
+    }
+}
+
+// Reads assets from the repo instead of fetching them
+const fileLoader = {
+    async loadText(file) {
+        return fs.promises.readFile(path.join(ROOT, file), 'utf8');
+    },
+
+    async loadArrayBuffer(file) {
+        const data = await fs.promises.readFile(path.join(ROOT, file));
+        return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    }
+};
+
+// Every event published on the bus, in order
+function recordEvents(events) {
+    const log = [];
+    for (const type of Object.values(RADIO_EVENTS)) {
+        events.on(type, detail => log.push({ type, detail }));
+    }
+    return log;
+}
+
+// ===== CHECKS =====
+
+test('publishes loading, power and station events headlessly', async (t) => {
+    const quiet = ['log', 'debug', 'info'].map(name => t.mock.method(console, name, () => {}));
+
+    const events = new RadioEventBus();
+    const log = recordEvents(events);
+    const audio = new RadioAudio({
+        audioContext: new FakeAudioContext(),
+        assetLoader: fileLoader,
+        events,
+        random: seededRandom(1),
+        realtime: false
+    });
+    await audio.ready;
+
+    const types = () => log.map(entry => entry.type);
+    assert.ok(audio.getBandStations().length > 0, 'stations loaded from stations.yaml');
+    assert.strictEqual(types().filter(type => type === RADIO_EVENTS.READY).length, 1);
+    const progress = log.filter(entry => entry.type === RADIO_EVENTS.LOADING_PROGRESS);
+    assert.ok(progress.length > 0);
+    assert.strictEqual(progress[progress.length - 1].detail.percent, 100);
+    assert.deepStrictEqual(log.filter(entry => entry.type === RADIO_EVENTS.TRACK_ERROR), []);
+
+    // Switch on and tune straight onto the strongest station
+    log.length = 0;
+    audio.togglePower();
+    audio.advance(audio.startupFadeDuration);
+    const station = audio.getBandStations()
+        .filter(s => audio.getStationStatus(s.id) !== 'off-air')
+        .sort((a, b) => audio.getReceivedStrength(b) - audio.getReceivedStrength(a))[0];
+    audio.onDialPositionChange(station.position);
+
+    assert.deepStrictEqual(types(), [
+        RADIO_EVENTS.POWER_ON,
+        RADIO_EVENTS.STATION_ENTERED,
+        RADIO_EVENTS.STATION_DISCOVERED
+    ]);
+    assert.strictEqual(log[1].detail.station.id, station.id);
+    assert.ok(audio.calculateStationVolume(station, station.position) > 0);
+
+    // Already discovered: coming back only enters it again
+    audio.onDialPositionChange(station.position + 40);
+    audio.onDialPositionChange(station.position);
+    assert.deepStrictEqual(types().slice(3), [
+        RADIO_EVENTS.STATION_LEFT,
+        RADIO_EVENTS.STATION_ENTERED
+    ]);
+
+    // Switching off leaves the station, and dispose() leaves nothing running
+    log.length = 0;
+    audio.dispose();
+    assert.deepStrictEqual(types(), [RADIO_EVENTS.STATION_LEFT, RADIO_EVENTS.POWER_OFF]);
+    assert.strictEqual(audio.isPoweredOn, false);
+
+    quiet.forEach(mock => mock.mock.restore());
+});